@@ -1,17 +1,53 @@
-import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useEffect, useState } from 'react';
+import { NavigationContainer, DefaultTheme, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { StatusBar } from 'expo-status-bar';
 import BottomTabNavigator from './src/navigation/BottomTabNavigator';
 import EliminationScreen from './src/screens/EliminationScreen';
-import { TasksProvider } from './src/context/TasksContext';
+import TransferScreen from './src/screens/TransferScreen';
+import AddFromLinkScreen from './src/screens/AddFromLinkScreen';
+import UndoSnackbar from './src/components/UndoSnackbar';
+import { TasksProvider, useTasks } from './src/context/TasksContext';
+import { ThemeProvider, useTheme } from './src/context/ThemeContext';
+import { toNavigationTheme } from './src/theme/themes';
+import { linking } from './src/navigation/linking';
 
-// Create a root stack to support modal presentation of the elimination screen.
+// Create a root stack to support modal presentation of the elimination,
+// import/export and link confirmation screens.
 const RootStack = createNativeStackNavigator();
+const navigationRef = createNavigationContainerRef();
+
+// The navigation tree, themed from ThemeProvider. Opening a reminder leads to
+// the screen named in its data, once the navigator is ready and tasks have
+// loaded, so one that launched the app does not open a screen on empty data.
+const Root = () => {
+  const theme = useTheme();
+  const { addReminderListener, isInitialised } = useTasks();
+  const [navigationReady, setNavigationReady] = useState(false);
+  const [pendingReminder, setPendingReminder] = useState(null);
+
+  useEffect(
+    () =>
+      addReminderListener(data => {
+        if (data && data.screen) setPendingReminder(data);
+      }),
+    []
+  );
+
+  useEffect(() => {
+    if (!pendingReminder || !navigationReady || !isInitialised) return;
+    navigationRef.navigate(pendingReminder.screen, pendingReminder.params);
+    setPendingReminder(null);
+  }, [pendingReminder, navigationReady, isInitialised]);
 
-export default function App() {
   return (
-    <TasksProvider>
-      <NavigationContainer>
+    <>
+      <NavigationContainer
+        ref={navigationRef}
+        linking={linking}
+        theme={toNavigationTheme(theme, DefaultTheme)}
+        onReady={() => setNavigationReady(true)}
+      >
         <RootStack.Navigator>
           <RootStack.Screen
             name="Main"
@@ -23,8 +59,30 @@ export default function App() {
             component={EliminationScreen}
             options={{ title: 'Choose Today\'s Tasks', presentation: 'modal' }}
           />
+          <RootStack.Screen
+            name="Transfer"
+            component={TransferScreen}
+            options={{ title: 'Import & Export', presentation: 'modal' }}
+          />
+          <RootStack.Screen
+            name="AddFromLink"
+            component={AddFromLinkScreen}
+            options={{ title: 'New Task from Link', presentation: 'modal' }}
+          />
         </RootStack.Navigator>
       </NavigationContainer>
+      <StatusBar style={theme.dark ? 'light' : 'dark'} />
+      <UndoSnackbar />
+    </>
+  );
+};
+
+export default function App() {
+  return (
+    <TasksProvider>
+      <ThemeProvider>
+        <Root />
+      </ThemeProvider>
     </TasksProvider>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Modal, StyleSheet, Alert } from 'react-native';
+import { formatDuration, parseDuration } from '../utils/estimates';
+import { useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * Asks how long a just-completed task actually took, so estimates can be
+ * compared with reality on the Stats tab. The answer starts out as the
+ * estimate; skipping records nothing.
+ */
+const ActualTimeModal = ({ task, onSave, onSkip }) => {
+  const styles = useThemedStyles(createStyles);
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    setText(task && task.estimate ? formatDuration(task.estimate) : '');
+  }, [task]);
+
+  const handleSave = () => {
+    const minutes = parseDuration(text);
+    if (!minutes) {
+      Alert.alert('Please enter the time as minutes or hours, e.g. 45 or 1h30.');
+      return;
+    }
+    onSave(minutes);
+  };
+
+  return (
+    <Modal visible={!!task} transparent animationType="fade">
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>How long did it take?</Text>
+          {task && (
+            <Text style={styles.subtitle}>
+              "{task.name}" was estimated at {formatDuration(task.estimate)}.
+            </Text>
+          )}
+          <TextInput value={text} onChangeText={setText} autoCapitalize="none" autoFocus style={styles.input} />
+          <View style={styles.actions}>
+            <TouchableOpacity onPress={onSkip} style={styles.button}>
+              <Text style={styles.buttonText}>Skip</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleSave} style={[styles.button, styles.saveButton]}>
+              <Text style={[styles.buttonText, styles.saveButtonText]}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: colors.overlay,
+      justifyContent: 'center',
+      padding: 24
+    },
+    content: {
+      backgroundColor: colors.surface,
+      borderRadius: 12,
+      padding: 20
+    },
+    title: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 4
+    },
+    subtitle: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      marginBottom: 12
+    },
+    input: {
+      borderWidth: 1,
+      borderColor: colors.border,
+      color: colors.text,
+      borderRadius: 6,
+      paddingHorizontal: 10,
+      paddingVertical: 8,
+      fontSize: 16
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 16
+    },
+    button: {
+      paddingVertical: 10,
+      paddingHorizontal: 16,
+      borderRadius: 6,
+      marginLeft: 8
+    },
+    saveButton: {
+      backgroundColor: colors.primary
+    },
+    buttonText: {
+      fontSize: 16,
+      color: colors.primary
+    },
+    saveButtonText: {
+      color: colors.onPrimary
+    }
+  });
+
+export default ActualTimeModal;
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Modal, StyleSheet, Alert } from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+
+const plural = count => `${count} task${count === 1 ? '' : 's'}`;
+
+// Each action offers a few options; the chosen one is confirmed before it
+// is applied.
+const ACTIONS = [
+  {
+    label: 'Status',
+    name: 'Change status',
+    title: count => `Mark ${plural(count)} as`,
+    options: [
+      { label: 'Completed', operation: 'complete', prompt: count => `Mark ${plural(count)} as completed?` },
+      { label: 'Not completed', operation: 'uncomplete', prompt: count => `Mark ${plural(count)} as not completed?` }
+    ]
+  },
+  {
+    label: 'Type',
+    name: 'Change type',
+    title: count => `Change the type of ${plural(count)} to`,
+    options: ['Want', 'Need', 'Both'].map(type => ({
+      label: type,
+      operation: 'update',
+      updates: { type },
+      prompt: count => `Change the type of ${plural(count)} to ${type}?`
+    }))
+  },
+  {
+    label: 'Timing',
+    name: 'Change timing',
+    title: count => `Change the timing of ${plural(count)} to`,
+    options: ['Today', 'Later'].map(timing => ({
+      label: timing,
+      operation: 'update',
+      updates: { timing },
+      prompt: count => `Change the timing of ${plural(count)} to ${timing}?`
+    }))
+  },
+  {
+    label: 'Today',
+    name: "Today's list",
+    title: count => `Today's list: ${plural(count)}`,
+    options: [
+      { label: 'Add to today', operation: 'select', prompt: count => `Add ${plural(count)} to today?` },
+      { label: 'Remove from today', operation: 'deselect', prompt: count => `Remove ${plural(count)} from today?` }
+    ]
+  }
+];
+
+const DELETE_OPTION = {
+  label: 'Delete',
+  operation: 'remove',
+  destructive: true,
+  prompt: count => `Are you sure you want to delete ${plural(count)}?`
+};
+
+/**
+ * The action bar shown while several tasks are selected on the All Tasks
+ * tab. Every action is confirmed once in an alert naming the action and the
+ * number of tasks, and then reported through onApply(operation, updates) to
+ * be applied as a single batch.
+ */
+const BatchActionBar = ({ count, onApply }) => {
+  const styles = useThemedStyles(createStyles);
+  const [action, setAction] = useState(null);
+
+  // The options sheet stays open behind the alert, as iOS does not show an
+  // alert raised while a modal is being dismissed.
+  const confirm = (name, option) => {
+    Alert.alert(name, option.prompt(count), [
+      { text: 'Cancel', style: 'cancel', onPress: () => setAction(null) },
+      {
+        text: option.label,
+        style: option.destructive ? 'destructive' : 'default',
+        onPress: () => {
+          setAction(null);
+          onApply(option.operation, option.updates);
+        }
+      }
+    ]);
+  };
+
+  return (
+    <View style={styles.bar}>
+      {ACTIONS.map(item => (
+        <TouchableOpacity
+          key={item.label}
+          style={styles.barButton}
+          onPress={() => setAction(item)}
+          disabled={count === 0}
+          accessibilityRole="button"
+          accessibilityState={{ disabled: count === 0 }}
+        >
+          <Text style={[styles.barButtonText, count === 0 && styles.barButtonDisabled]}>{item.label}</Text>
+        </TouchableOpacity>
+      ))}
+      <TouchableOpacity
+        style={styles.barButton}
+        onPress={() => confirm('Delete tasks', DELETE_OPTION)}
+        disabled={count === 0}
+        accessibilityRole="button"
+        accessibilityState={{ disabled: count === 0 }}
+      >
+        <Text style={[styles.barButtonText, styles.deleteText, count === 0 && styles.barButtonDisabled]}>
+          Delete
+        </Text>
+      </TouchableOpacity>
+      <Modal visible={!!action} transparent animationType="fade" onRequestClose={() => setAction(null)}>
+        <View style={styles.overlay}>
+          <View style={styles.sheet}>
+            <Text style={styles.sheetTitle}>{action ? action.title(count) : ''}</Text>
+            {action &&
+              action.options.map(option => (
+                <TouchableOpacity
+                  key={option.label}
+                  style={styles.option}
+                  onPress={() => confirm(action.name, option)}
+                  accessibilityRole="button"
+                >
+                  <Text style={styles.optionText}>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+            <TouchableOpacity style={styles.option} onPress={() => setAction(null)} accessibilityRole="button">
+              <Text style={[styles.optionText, styles.cancelText]}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    bar: {
+      flexDirection: 'row',
+      justifyContent: 'space-around',
+      paddingVertical: 12,
+      borderTopWidth: StyleSheet.hairlineWidth,
+      borderTopColor: colors.separator,
+      backgroundColor: colors.surface
+    },
+    barButton: {
+      paddingHorizontal: 8
+    },
+    barButtonText: {
+      fontSize: 15,
+      color: colors.primary
+    },
+    barButtonDisabled: {
+      color: colors.disabled
+    },
+    deleteText: {
+      color: colors.danger
+    },
+    overlay: {
+      flex: 1,
+      backgroundColor: colors.overlay,
+      justifyContent: 'center',
+      padding: 24
+    },
+    sheet: {
+      backgroundColor: colors.surface,
+      borderRadius: 12,
+      paddingTop: 16
+    },
+    sheetTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: colors.text,
+      textAlign: 'center',
+      marginBottom: 8,
+      paddingHorizontal: 16
+    },
+    option: {
+      paddingVertical: 14,
+      alignItems: 'center',
+      borderTopWidth: StyleSheet.hairlineWidth,
+      borderTopColor: colors.separator
+    },
+    optionText: {
+      fontSize: 16,
+      color: colors.primary
+    },
+    cancelText: {
+      color: colors.muted
+    }
+  });
+
+export default BatchActionBar;
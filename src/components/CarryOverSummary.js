@@ -0,0 +1,116 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+
+const OUTCOME_LABELS = {
+  kept: 'Still on today',
+  boosted: 'Boost +1',
+  unselected: 'Back to All Tasks',
+  deck: 'Back in the deck'
+};
+
+const formatDays = days => (days === 1 ? '1 day' : `${days} days`);
+
+/**
+ * The morning summary of the tasks carried over from an earlier day. Each
+ * entry is a journal snapshot (see utils/history) with the days it has been
+ * carried and what the rollover policy did with it. When tasks were sent
+ * back to the deck, onChoose opens an elimination round to pick them again.
+ */
+const CarryOverSummary = ({ entries, onDismiss, onChoose }) => {
+  const styles = useThemedStyles(createStyles);
+  const needsChoosing = entries.some(entry => entry.outcome === 'deck');
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title} accessibilityRole="header">
+        Carried over ({entries.length})
+      </Text>
+      {entries.map(entry => (
+        <View
+          key={entry.id}
+          style={styles.row}
+          accessible
+          accessibilityLabel={`${entry.name}, carried ${formatDays(entry.days)}, ${OUTCOME_LABELS[entry.outcome]}`}
+        >
+          <Text style={styles.name} numberOfLines={1}>
+            {entry.name}
+          </Text>
+          <Text style={[styles.days, entry.days >= 3 && styles.daysLong]}>{formatDays(entry.days)}</Text>
+          <Text style={styles.outcome}>{OUTCOME_LABELS[entry.outcome]}</Text>
+        </View>
+      ))}
+      <View style={styles.actions}>
+        <TouchableOpacity onPress={onDismiss} style={styles.button} accessibilityRole="button">
+          <Text style={styles.buttonText}>Dismiss</Text>
+        </TouchableOpacity>
+        {needsChoosing && (
+          <TouchableOpacity onPress={onChoose} style={styles.button} accessibilityRole="button">
+            <Text style={[styles.buttonText, styles.primaryButtonText]}>Choose now</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    card: {
+      margin: 16,
+      marginBottom: 0,
+      padding: 12,
+      borderRadius: 12,
+      backgroundColor: colors.surface
+    },
+    title: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.muted,
+      textTransform: 'uppercase',
+      marginBottom: 4
+    },
+    row: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 6
+    },
+    name: {
+      flex: 1,
+      fontSize: 15,
+      color: colors.text
+    },
+    days: {
+      fontSize: 12,
+      color: colors.muted,
+      marginLeft: 8
+    },
+    daysLong: {
+      color: colors.warning
+    },
+    outcome: {
+      width: 112,
+      fontSize: 12,
+      color: colors.textSecondary,
+      textAlign: 'right'
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 4
+    },
+    button: {
+      paddingVertical: 6,
+      paddingHorizontal: 12
+    },
+    buttonText: {
+      fontSize: 15,
+      color: colors.textSecondary
+    },
+    primaryButtonText: {
+      color: colors.primary,
+      fontWeight: '600'
+    }
+  });
+
+export default CarryOverSummary;
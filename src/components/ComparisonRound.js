@@ -0,0 +1,262 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView } from 'react-native';
+import Haptics from 'expo-haptics';
+import { useTasks } from '../context/TasksContext';
+import { useThemedStyles } from '../context/ThemeContext';
+import { compareByRating, getComparisonCount, getNextMatchup } from '../utils/ranking';
+import { formatDuration } from '../utils/estimates';
+import { describeTask } from '../utils/accessibility';
+
+/**
+ * How many of the ranked tasks to suggest taking on: as many as fit in the
+ * daily capacity when estimates are available, otherwise the top half.
+ */
+const getDefaultTakeCount = (ranked, capacity) => {
+  if (capacity > 0 && ranked.some(t => t.estimate)) {
+    let planned = 0;
+    let count = 0;
+    while (count < ranked.length && planned + (ranked[count].estimate || 0) <= capacity) {
+      planned += ranked[count].estimate || 0;
+      count += 1;
+    }
+    return Math.max(1, count);
+  }
+  return Math.ceil(ranked.length / 2);
+};
+
+/**
+ * The "this or that" mode of the elimination screen. It shows two candidates
+ * at a time and asks which matters more; every answer is kept in the session
+ * and updates the tasks' head-to-head ratings once the session is confirmed.
+ * Afterwards the candidates are listed by rating and the user chooses how
+ * many from the top to take on today, which is passed to
+ * onFinish(rankedTasks, takeCount).
+ */
+const ComparisonRound = ({ candidates, onFinish }) => {
+  const styles = useThemedStyles(createStyles);
+  const { settings, eliminationSession, compareInSession, getTodayKey } = useTasks();
+  const [showResults, setShowResults] = useState(false);
+  const [takeCount, setTakeCount] = useState(null);
+
+  // The candidates carry the ratings from the comparisons played so far.
+  const played = eliminationSession.comparisons;
+  const total = getComparisonCount(candidates.length);
+  const matchup = showResults || played.length >= total ? null : getNextMatchup(candidates, played);
+
+  const choose = (winner, loser) => {
+    compareInSession(winner.id, loser.id);
+    Haptics.selectionAsync();
+  };
+
+  if (matchup) {
+    const [first, second] = matchup;
+    return (
+      <View style={styles.container}>
+        <Text style={styles.question}>Which matters more?</Text>
+        {[
+          [first, second],
+          [second, first]
+        ].map(([task, other], index) => (
+          <React.Fragment key={task.id}>
+            {index === 1 && <Text style={styles.or}>or</Text>}
+            <TouchableOpacity
+              style={styles.card}
+              onPress={() => choose(task, other)}
+              accessibilityRole="button"
+              accessibilityLabel={describeTask(task, getTodayKey())}
+              accessibilityHint={`Chooses this over ${other.name}.`}
+            >
+              <Text style={styles.cardName}>{task.name}</Text>
+              <Text style={styles.cardDetails}>
+                {task.type} • {task.timing}
+                {task.estimate ? ` • ~${formatDuration(task.estimate)}` : ''}
+              </Text>
+            </TouchableOpacity>
+          </React.Fragment>
+        ))}
+        <Text style={styles.progress}>
+          {played.length + 1} of {total}
+        </Text>
+        <TouchableOpacity onPress={() => setShowResults(true)} accessibilityRole="button">
+          <Text style={styles.link}>Skip to results</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const ranked = [...candidates].sort(compareByRating);
+  const suggested = getDefaultTakeCount(ranked, settings.dailyCapacity);
+  const count = Math.min(takeCount === null ? suggested : takeCount, ranked.length);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.question}>Your ranking</Text>
+      <ScrollView style={styles.list}>
+        {ranked.map((task, index) => (
+          <View
+            key={task.id}
+            style={[styles.rankRow, index < count && styles.rankRowTaken]}
+            accessible
+            accessibilityLabel={`${index + 1}. ${task.name}${index < count ? ', taking on' : ', deferring'}`}
+          >
+            <Text style={styles.rankNumber}>{index + 1}</Text>
+            <Text style={styles.rankName}>{task.name}</Text>
+            {task.estimate ? <Text style={styles.rankDetail}>{formatDuration(task.estimate)}</Text> : null}
+          </View>
+        ))}
+      </ScrollView>
+      <View style={styles.stepper}>
+        <TouchableOpacity
+          style={styles.stepperButton}
+          onPress={() => setTakeCount(Math.max(1, count - 1))}
+          disabled={count <= 1}
+          accessibilityRole="button"
+          accessibilityLabel="Take one fewer"
+          accessibilityState={{ disabled: count <= 1 }}
+        >
+          <Text style={styles.stepperButtonText}>−</Text>
+        </TouchableOpacity>
+        <Text style={styles.stepperLabel} accessibilityLiveRegion="polite">
+          Take the top {count}
+        </Text>
+        <TouchableOpacity
+          style={styles.stepperButton}
+          onPress={() => setTakeCount(Math.min(ranked.length, count + 1))}
+          disabled={count >= ranked.length}
+          accessibilityRole="button"
+          accessibilityLabel="Take one more"
+          accessibilityState={{ disabled: count >= ranked.length }}
+        >
+          <Text style={styles.stepperButtonText}>+</Text>
+        </TouchableOpacity>
+      </View>
+      <TouchableOpacity
+        style={styles.confirmButton}
+        onPress={() => onFinish(ranked, count)}
+        accessibilityRole="button"
+      >
+        <Text style={styles.confirmButtonText}>Done</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      width: '90%',
+      alignItems: 'center'
+    },
+    question: {
+      fontSize: 18,
+      fontWeight: '600',
+      marginBottom: 16,
+      color: colors.text
+    },
+    card: {
+      width: '100%',
+      padding: 20,
+      borderRadius: 12,
+      backgroundColor: colors.surface,
+      shadowColor: colors.shadow,
+      shadowOpacity: 0.15,
+      shadowRadius: 6,
+      shadowOffset: { width: 0, height: 4 },
+      elevation: 5
+    },
+    cardName: {
+      fontSize: 18,
+      fontWeight: '600',
+      marginBottom: 6,
+      color: colors.text
+    },
+    cardDetails: {
+      fontSize: 14,
+      color: colors.muted
+    },
+    or: {
+      marginVertical: 12,
+      fontSize: 14,
+      color: colors.muted
+    },
+    progress: {
+      marginTop: 20,
+      fontSize: 13,
+      color: colors.muted
+    },
+    link: {
+      marginTop: 8,
+      fontSize: 14,
+      color: colors.primary
+    },
+    list: {
+      width: '100%',
+      flexGrow: 0,
+      maxHeight: 360
+    },
+    rankRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 10,
+      paddingHorizontal: 12,
+      borderRadius: 8,
+      marginBottom: 4,
+      backgroundColor: colors.fill
+    },
+    rankRowTaken: {
+      backgroundColor: colors.surface
+    },
+    rankNumber: {
+      width: 24,
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.muted
+    },
+    rankName: {
+      flex: 1,
+      fontSize: 16,
+      color: colors.text
+    },
+    rankDetail: {
+      fontSize: 12,
+      color: colors.muted
+    },
+    stepper: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginTop: 16
+    },
+    stepperButton: {
+      width: 36,
+      height: 36,
+      borderRadius: 18,
+      borderWidth: 1,
+      borderColor: colors.primary,
+      justifyContent: 'center',
+      alignItems: 'center'
+    },
+    stepperButtonText: {
+      fontSize: 20,
+      color: colors.primary
+    },
+    stepperLabel: {
+      marginHorizontal: 16,
+      fontSize: 16,
+      color: colors.text
+    },
+    confirmButton: {
+      marginTop: 16,
+      backgroundColor: colors.primary,
+      paddingVertical: 12,
+      paddingHorizontal: 24,
+      borderRadius: 8
+    },
+    confirmButtonText: {
+      color: colors.onPrimary,
+      fontSize: 16,
+      fontWeight: '500'
+    }
+  });
+
+export default ComparisonRound;
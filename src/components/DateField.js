@@ -0,0 +1,86 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { addDays } from '../utils/dates';
+import { useTasks } from '../context/TasksContext';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * A day key input with shortcuts for the most common choices. An empty value
+ * means the date is not set.
+ */
+const DateField = ({ label, value, onChange }) => {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const { getTodayKey } = useTasks();
+  const todayKey = getTodayKey();
+  const shortcuts = [
+    { label: 'Today', value: todayKey },
+    { label: 'Tomorrow', value: addDays(todayKey, 1) },
+    { label: 'Next week', value: addDays(todayKey, 7) },
+    { label: 'Clear', value: '' }
+  ];
+  return (
+    <View style={styles.dateField}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TextInput
+        placeholder="YYYY-MM-DD"
+        placeholderTextColor={colors.muted}
+        accessibilityLabel={label}
+        value={value}
+        onChangeText={onChange}
+        autoCapitalize="none"
+        style={styles.input}
+      />
+      <View style={styles.shortcutRow}>
+        {shortcuts.map(shortcut => (
+          <TouchableOpacity
+            key={shortcut.label}
+            style={styles.shortcut}
+            onPress={() => onChange(shortcut.value)}
+            accessibilityRole="button"
+            accessibilityLabel={`${label}: ${shortcut.label}`}
+          >
+            <Text style={styles.shortcutText}>{shortcut.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    fieldLabel: {
+      fontSize: 13,
+      color: colors.muted,
+      marginBottom: 6
+    },
+    input: {
+      borderWidth: 1,
+      borderColor: colors.border,
+      color: colors.text,
+      borderRadius: 6,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      marginBottom: 6
+    },
+    dateField: {
+      marginBottom: 12
+    },
+    shortcutRow: {
+      flexDirection: 'row'
+    },
+    shortcut: {
+      paddingVertical: 4,
+      paddingHorizontal: 8,
+      marginRight: 6,
+      borderRadius: 12,
+      backgroundColor: colors.fill
+    },
+    shortcutText: {
+      fontSize: 12,
+      color: colors.primary
+    }
+  });
+
+export default DateField;
@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, Modal, StyleSheet } from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { DAY_OUTCOMES } from '../utils/outcomes';
+
+const OUTCOME_LABELS = { done: 'Done', deferred: 'Defer', dropped: 'Drop' };
+
+/**
+ * The end-of-day review: each task still on today's list is marked done,
+ * deferred to another day or dropped. Nothing is applied until the user
+ * saves; tasks left unmarked stay on the list. onSave receives an object of
+ * task id to outcome.
+ */
+const DayReviewSheet = ({ visible, tasks, onSave, onCancel }) => {
+  const styles = useThemedStyles(createStyles);
+  const [outcomes, setOutcomes] = useState({});
+
+  useEffect(() => {
+    if (visible) setOutcomes({});
+  }, [visible]);
+
+  const choose = (id, outcome) => {
+    const { [id]: current, ...rest } = outcomes;
+    setOutcomes(current === outcome ? rest : { ...rest, [id]: outcome });
+  };
+
+  const markedCount = Object.keys(outcomes).length;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title} accessibilityRole="header">
+            How did today go?
+          </Text>
+          <Text style={styles.subtitle}>Mark each task; unmarked ones stay on today's list.</Text>
+          <ScrollView style={styles.list}>
+            {tasks.map(task => (
+              <View key={task.id} style={styles.row}>
+                <Text style={styles.name}>{task.name}</Text>
+                <View style={styles.options} accessibilityRole="radiogroup" accessibilityLabel={task.name}>
+                  {DAY_OUTCOMES.map(outcome => {
+                    const selected = outcomes[task.id] === outcome;
+                    return (
+                      <TouchableOpacity
+                        key={outcome}
+                        style={[styles.option, selected && styles[`${outcome}Selected`]]}
+                        onPress={() => choose(task.id, outcome)}
+                        accessibilityRole="radio"
+                        accessibilityState={{ selected }}
+                      >
+                        <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                          {OUTCOME_LABELS[outcome]}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+          <View style={styles.actions}>
+            <TouchableOpacity onPress={onCancel} style={styles.button} accessibilityRole="button">
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => onSave(outcomes)}
+              disabled={markedCount === 0}
+              style={[styles.button, styles.saveButton, markedCount === 0 && styles.saveButtonDisabled]}
+              accessibilityRole="button"
+              accessibilityState={{ disabled: markedCount === 0 }}
+            >
+              <Text style={[styles.buttonText, styles.saveButtonText]}>
+                Save{markedCount > 0 ? ` (${markedCount})` : ''}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: colors.overlay,
+      justifyContent: 'flex-end'
+    },
+    content: {
+      maxHeight: '85%',
+      backgroundColor: colors.surface,
+      borderTopLeftRadius: 16,
+      borderTopRightRadius: 16,
+      padding: 20
+    },
+    title: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 4
+    },
+    subtitle: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      marginBottom: 12
+    },
+    list: {
+      flexGrow: 0
+    },
+    row: {
+      paddingVertical: 10,
+      borderBottomWidth: StyleSheet.hairlineWidth,
+      borderBottomColor: colors.border
+    },
+    name: {
+      fontSize: 16,
+      color: colors.text,
+      marginBottom: 8
+    },
+    options: {
+      flexDirection: 'row'
+    },
+    option: {
+      flex: 1,
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 6,
+      paddingVertical: 6,
+      alignItems: 'center',
+      marginRight: 8
+    },
+    doneSelected: {
+      backgroundColor: colors.success,
+      borderColor: colors.success
+    },
+    deferredSelected: {
+      backgroundColor: colors.primary,
+      borderColor: colors.primary
+    },
+    droppedSelected: {
+      backgroundColor: colors.muted,
+      borderColor: colors.muted
+    },
+    optionText: {
+      fontSize: 14,
+      color: colors.text
+    },
+    optionTextSelected: {
+      color: colors.onPrimary
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 16
+    },
+    button: {
+      paddingVertical: 10,
+      paddingHorizontal: 16,
+      borderRadius: 6,
+      marginLeft: 8
+    },
+    saveButton: {
+      backgroundColor: colors.primary
+    },
+    saveButtonDisabled: {
+      opacity: 0.5
+    },
+    buttonText: {
+      fontSize: 16,
+      color: colors.primary
+    },
+    saveButtonText: {
+      color: colors.onPrimary
+    }
+  });
+
+export default DayReviewSheet;
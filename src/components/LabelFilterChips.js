@@ -0,0 +1,82 @@
+import React from 'react';
+import { Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { EMPTY_LABEL_FILTER, getAllProjects, getAllTags, isLabelFilterEmpty } from '../utils/tags';
+import { toggleValue } from '../utils/taskQuery';
+
+/**
+ * A row of chips for narrowing a list to certain projects and tags: "All",
+ * then every project and every #tag used by the given tasks. Renders nothing
+ * when no task has a project or tag. The filter ({ projects, tags }) is owned
+ * by the parent and reported through onChange.
+ */
+const LabelFilterChips = ({ tasks, filter = EMPTY_LABEL_FILTER, onChange, style }) => {
+  const styles = useThemedStyles(createStyles);
+  const projects = getAllProjects(tasks);
+  const tags = getAllTags(tasks);
+  if (projects.length === 0 && tags.length === 0) return null;
+
+  const renderChip = (key, label, active, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, active && styles.chipActive]}
+      onPress={onPress}
+      accessibilityRole="checkbox"
+      accessibilityState={{ checked: active }}
+    >
+      <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={style}
+      contentContainerStyle={styles.row}
+      keyboardShouldPersistTaps="handled"
+    >
+      {renderChip('all', 'All', isLabelFilterEmpty(filter), () => onChange(EMPTY_LABEL_FILTER))}
+      {projects.map(project =>
+        renderChip(`project:${project}`, project, filter.projects.includes(project), () =>
+          onChange({ ...filter, projects: toggleValue(filter.projects, project) })
+        )
+      )}
+      {tags.map(tag =>
+        renderChip(`tag:${tag}`, `#${tag}`, filter.tags.includes(tag), () =>
+          onChange({ ...filter, tags: toggleValue(filter.tags, tag) })
+        )
+      )}
+    </ScrollView>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    row: {
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingVertical: 4
+    },
+    chip: {
+      paddingVertical: 4,
+      paddingHorizontal: 10,
+      marginRight: 6,
+      borderRadius: 12,
+      borderWidth: 1,
+      borderColor: colors.border
+    },
+    chipActive: {
+      backgroundColor: colors.primary,
+      borderColor: colors.primary
+    },
+    chipText: {
+      fontSize: 13,
+      color: colors.text
+    },
+    chipTextActive: {
+      color: colors.onPrimary
+    }
+  });
+
+export default LabelFilterChips;
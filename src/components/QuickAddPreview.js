@@ -0,0 +1,86 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { formatDuration } from '../utils/estimates';
+
+/**
+ * Live preview of a parsed quick-add line (see utils/quickAdd): the name the
+ * task will get, then a chip for each field that was recognised. Fields left
+ * at their defaults are shown muted, so it is clear what typing changed.
+ */
+const QuickAddPreview = ({ parsed }) => {
+  const styles = useThemedStyles(createStyles);
+  const fields = new Set(parsed.recognised.map(r => r.field));
+
+  const chips = [
+    { key: 'type', label: parsed.type, active: fields.has('type') },
+    { key: 'timing', label: parsed.timing, active: fields.has('timing') || fields.has('dueDate') },
+    parsed.dueDate && { key: 'dueDate', label: `Due ${parsed.dueDate}`, active: true },
+    parsed.estimate && { key: 'estimate', label: `~${formatDuration(parsed.estimate)}`, active: true },
+    parsed.project && { key: 'project', label: parsed.project, active: true },
+    ...parsed.tags.map(tag => ({ key: `tag:${tag}`, label: `#${tag}`, active: true }))
+  ].filter(Boolean);
+
+  return (
+    <View
+      style={styles.container}
+      accessible
+      accessibilityLiveRegion="polite"
+      accessibilityLabel={`Will add ${parsed.name || 'a task without a name'}: ${chips.map(c => c.label).join(', ')}`}
+    >
+      <Text style={[styles.name, !parsed.name && styles.namePlaceholder]}>{parsed.name || 'Task name'}</Text>
+      <View style={styles.chipRow}>
+        {chips.map(chip => (
+          <View key={chip.key} style={[styles.chip, chip.active && styles.chipActive]}>
+            <Text style={[styles.chipText, chip.active && styles.chipTextActive]}>{chip.label}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      padding: 12,
+      borderRadius: 8,
+      backgroundColor: colors.fill,
+      marginBottom: 12
+    },
+    name: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 6
+    },
+    namePlaceholder: {
+      color: colors.muted
+    },
+    chipRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap'
+    },
+    chip: {
+      paddingVertical: 3,
+      paddingHorizontal: 8,
+      marginRight: 6,
+      marginBottom: 4,
+      borderRadius: 10,
+      borderWidth: 1,
+      borderColor: colors.border
+    },
+    chipActive: {
+      backgroundColor: colors.primary,
+      borderColor: colors.primary
+    },
+    chipText: {
+      fontSize: 12,
+      color: colors.muted
+    },
+    chipTextActive: {
+      color: colors.onPrimary
+    }
+  });
+
+export default QuickAddPreview;
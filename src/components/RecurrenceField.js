@@ -0,0 +1,181 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { WEEKDAY_NAMES } from '../utils/recurrence';
+import { useThemedStyles } from '../context/ThemeContext';
+
+const FREQUENCY_OPTIONS = [
+  { label: 'Never', value: 'none' },
+  { label: 'Daily', value: 'daily' },
+  { label: 'Weekly', value: 'weekly' },
+  { label: 'Monthly', value: 'monthly' }
+];
+
+/**
+ * Converts a stored recurrence rule (or null) into the editable draft used by
+ * RecurrenceField. Numbers are kept as strings while they are being typed.
+ */
+export const toRecurrenceDraft = rule => ({
+  frequency: rule ? rule.frequency : 'none',
+  interval: String(rule && rule.interval ? rule.interval : 1),
+  weekdays: rule && rule.weekdays ? rule.weekdays : [],
+  dayOfMonth: String(rule && rule.dayOfMonth ? rule.dayOfMonth : new Date().getDate())
+});
+
+/**
+ * Converts a draft back into a recurrence rule. Returns null when the task
+ * does not repeat; the result should be checked with isValidRecurrence.
+ */
+export const fromRecurrenceDraft = draft => {
+  if (draft.frequency === 'daily') return { frequency: 'daily', interval: parseInt(draft.interval, 10) };
+  if (draft.frequency === 'weekly') return { frequency: 'weekly', weekdays: draft.weekdays };
+  if (draft.frequency === 'monthly') return { frequency: 'monthly', dayOfMonth: parseInt(draft.dayOfMonth, 10) };
+  return null;
+};
+
+/**
+ * Editor for a task's recurrence rule: every N days, on chosen weekdays or on
+ * a day of the month.
+ */
+const RecurrenceField = ({ value, onChange }) => {
+  const styles = useThemedStyles(createStyles);
+  const update = changes => onChange({ ...value, ...changes });
+
+  const toggleWeekday = day => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(d => d !== day)
+      : [...value.weekdays, day];
+    update({ weekdays });
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.fieldLabel}>Repeat</Text>
+      <View style={styles.optionRow} accessibilityRole="radiogroup" accessibilityLabel="Repeat">
+        {FREQUENCY_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.option, value.frequency === option.value && styles.optionSelected]}
+            onPress={() => update({ frequency: option.value })}
+            accessibilityRole="radio"
+            accessibilityState={{ selected: value.frequency === option.value }}
+          >
+            <Text style={[styles.optionText, value.frequency === option.value && styles.optionTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {value.frequency === 'daily' && (
+        <View style={styles.inlineRow}>
+          <Text style={styles.inlineText}>Every</Text>
+          <TextInput
+            value={value.interval}
+            onChangeText={interval => update({ interval })}
+            accessibilityLabel="Repeat every how many days"
+            keyboardType="number-pad"
+            style={styles.numberInput}
+          />
+          <Text style={styles.inlineText}>day(s)</Text>
+        </View>
+      )}
+      {value.frequency === 'weekly' && (
+        <View style={styles.optionRow}>
+          {WEEKDAY_NAMES.map((name, day) => (
+            <TouchableOpacity
+              key={name}
+              style={[styles.weekday, value.weekdays.includes(day) && styles.optionSelected]}
+              onPress={() => toggleWeekday(day)}
+              accessibilityRole="checkbox"
+              accessibilityState={{ checked: value.weekdays.includes(day) }}
+              accessibilityLabel={name}
+            >
+              <Text style={[styles.optionText, value.weekdays.includes(day) && styles.optionTextSelected]}>
+                {name.charAt(0)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      {value.frequency === 'monthly' && (
+        <View style={styles.inlineRow}>
+          <Text style={styles.inlineText}>On day</Text>
+          <TextInput
+            value={value.dayOfMonth}
+            onChangeText={dayOfMonth => update({ dayOfMonth })}
+            accessibilityLabel="Day of the month"
+            keyboardType="number-pad"
+            style={styles.numberInput}
+          />
+          <Text style={styles.inlineText}>of each month</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      marginBottom: 12
+    },
+    fieldLabel: {
+      fontSize: 13,
+      color: colors.muted,
+      marginBottom: 6
+    },
+    optionRow: {
+      flexDirection: 'row',
+      marginBottom: 6
+    },
+    option: {
+      flex: 1,
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 6,
+      paddingVertical: 6,
+      alignItems: 'center',
+      marginRight: 6
+    },
+    weekday: {
+      width: 32,
+      height: 32,
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 16,
+      justifyContent: 'center',
+      alignItems: 'center',
+      marginRight: 6
+    },
+    optionSelected: {
+      backgroundColor: colors.primary,
+      borderColor: colors.primary
+    },
+    optionText: {
+      fontSize: 13,
+      color: colors.text
+    },
+    optionTextSelected: {
+      color: colors.onPrimary
+    },
+    inlineRow: {
+      flexDirection: 'row',
+      alignItems: 'center'
+    },
+    inlineText: {
+      fontSize: 14,
+      color: colors.text
+    },
+    numberInput: {
+      width: 48,
+      borderWidth: 1,
+      borderColor: colors.border,
+      color: colors.text,
+      borderRadius: 6,
+      paddingHorizontal: 8,
+      paddingVertical: 4,
+      marginHorizontal: 8,
+      textAlign: 'center'
+    }
+  });
+
+export default RecurrenceField;
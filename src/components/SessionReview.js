@@ -0,0 +1,159 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { formatDuration } from '../utils/estimates';
+import { describeDuration } from '../utils/accessibility';
+import { useThemedStyles } from '../context/ThemeContext';
+
+/**
+ * The last step of an elimination session: lists the accepted and deferred
+ * tasks before anything is applied. Tapping a task moves it to the other
+ * list; nothing changes until the user confirms.
+ */
+const SessionReview = ({ accepted, deferred, plannedMinutes, capacity, onToggle, onUndo, onConfirm }) => {
+  const styles = useThemedStyles(createStyles);
+  const renderTask = (task, isAccepted) => (
+    <TouchableOpacity
+      key={task.id}
+      style={styles.row}
+      onPress={() => onToggle(task, !isAccepted)}
+      accessibilityRole="button"
+      accessibilityLabel={`${task.name}, ${isAccepted ? 'taking on' : 'deferred'}`}
+      accessibilityHint={isAccepted ? 'Defers this task.' : 'Takes this task on today.'}
+    >
+      <Text style={styles.rowName}>{task.name}</Text>
+      {task.estimate ? <Text style={styles.rowDetail}>{formatDuration(task.estimate)}</Text> : null}
+      <Text style={styles.rowAction}>{isAccepted ? 'Defer' : 'Take on'}</Text>
+    </TouchableOpacity>
+  );
+
+  const isEmpty = accepted.length === 0 && deferred.length === 0;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Review today's picks</Text>
+      {capacity > 0 && !isEmpty && (
+        <Text
+          style={[styles.budget, plannedMinutes > capacity && styles.budgetOver]}
+          accessibilityLabel={`Planned ${describeDuration(plannedMinutes)} of ${describeDuration(capacity)}`}
+        >
+          Planned: {formatDuration(plannedMinutes)} / {formatDuration(capacity)}
+        </Text>
+      )}
+      {isEmpty ? (
+        <Text style={styles.emptyText}>There was nothing to pick today.</Text>
+      ) : (
+        <ScrollView style={styles.list}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">
+            Taking on ({accepted.length})
+          </Text>
+          {accepted.map(task => renderTask(task, true))}
+          <Text style={styles.sectionTitle} accessibilityRole="header">
+            Deferred ({deferred.length})
+          </Text>
+          {deferred.map(task => renderTask(task, false))}
+        </ScrollView>
+      )}
+      <View style={styles.actions}>
+        {!isEmpty && (
+          <TouchableOpacity onPress={onUndo} style={styles.button} accessibilityRole="button">
+            <Text style={styles.buttonText}>Undo last</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          onPress={onConfirm}
+          style={[styles.button, styles.confirmButton]}
+          accessibilityRole="button"
+        >
+          <Text style={[styles.buttonText, styles.confirmButtonText]}>{isEmpty ? 'Return' : 'Confirm'}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      width: '90%'
+    },
+    title: {
+      fontSize: 20,
+      fontWeight: '600',
+      color: colors.text,
+      textAlign: 'center',
+      marginBottom: 4
+    },
+    budget: {
+      fontSize: 14,
+      color: colors.text,
+      textAlign: 'center'
+    },
+    budgetOver: {
+      color: colors.warning
+    },
+    emptyText: {
+      marginTop: 24,
+      fontSize: 16,
+      color: colors.textSecondary,
+      textAlign: 'center'
+    },
+    list: {
+      flex: 1,
+      marginTop: 8
+    },
+    sectionTitle: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.muted,
+      textTransform: 'uppercase',
+      marginTop: 16,
+      marginBottom: 4
+    },
+    row: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 12,
+      paddingHorizontal: 12,
+      marginBottom: 4,
+      borderRadius: 8,
+      backgroundColor: colors.surface
+    },
+    rowName: {
+      flex: 1,
+      fontSize: 16,
+      color: colors.text
+    },
+    rowDetail: {
+      fontSize: 12,
+      color: colors.muted,
+      marginRight: 12
+    },
+    rowAction: {
+      fontSize: 14,
+      color: colors.primary
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      paddingVertical: 16
+    },
+    button: {
+      paddingVertical: 12,
+      paddingHorizontal: 20,
+      borderRadius: 8,
+      marginLeft: 8
+    },
+    confirmButton: {
+      backgroundColor: colors.primary
+    },
+    confirmButtonText: {
+      color: colors.onPrimary
+    },
+    buttonText: {
+      fontSize: 16,
+      color: colors.primary
+    }
+  });
+
+export default SessionReview;
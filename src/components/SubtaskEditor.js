@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { v4 as uuidv4 } from 'uuid';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { formatSubtaskProgress, getSubtaskProgress, moveSubtask, toggleSubtask } from '../utils/subtasks';
+
+/**
+ * Editor for a task's checklist: steps can be added, renamed, ticked off,
+ * reordered and removed. The list ({ id, name, done } entries) is owned by
+ * the parent and reported through onChange; steps left without a name are
+ * dropped when the task is saved.
+ */
+const SubtaskEditor = ({ value, onChange }) => {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const [newName, setNewName] = useState('');
+  const progress = getSubtaskProgress({ subtasks: value });
+
+  const rename = (id, name) => onChange(value.map(s => (s.id === id ? { ...s, name } : s)));
+
+  const handleAdd = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onChange([...value, { id: uuidv4(), name, done: false }]);
+    setNewName('');
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.fieldLabel}>
+        Checklist{progress ? ` (${formatSubtaskProgress(progress)})` : ''}
+      </Text>
+      {value.map((subtask, index) => (
+        <View key={subtask.id} style={styles.row}>
+          <TouchableOpacity
+            style={[styles.checkbox, subtask.done && styles.checkboxChecked]}
+            onPress={() => onChange(toggleSubtask(value, subtask.id))}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked: subtask.done }}
+            accessibilityLabel={`Done: ${subtask.name}`}
+          >
+            {subtask.done && <Text style={styles.checkmark}>✓</Text>}
+          </TouchableOpacity>
+          <TextInput
+            value={subtask.name}
+            onChangeText={name => rename(subtask.id, name)}
+            accessibilityLabel={`Step ${index + 1}`}
+            style={[styles.nameInput, subtask.done && styles.doneText]}
+          />
+          <TouchableOpacity
+            onPress={() => onChange(moveSubtask(value, index, -1))}
+            disabled={index === 0}
+            style={styles.iconButton}
+            accessibilityRole="button"
+            accessibilityLabel={`Move ${subtask.name} up`}
+            accessibilityState={{ disabled: index === 0 }}
+          >
+            <Text style={[styles.iconText, index === 0 && styles.iconDisabled]}>↑</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => onChange(moveSubtask(value, index, 1))}
+            disabled={index === value.length - 1}
+            style={styles.iconButton}
+            accessibilityRole="button"
+            accessibilityLabel={`Move ${subtask.name} down`}
+            accessibilityState={{ disabled: index === value.length - 1 }}
+          >
+            <Text style={[styles.iconText, index === value.length - 1 && styles.iconDisabled]}>↓</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => onChange(value.filter(s => s.id !== subtask.id))}
+            style={styles.iconButton}
+            accessibilityRole="button"
+            accessibilityLabel={`Remove ${subtask.name}`}
+          >
+            <Text style={styles.removeText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+      <View style={styles.row}>
+        <TextInput
+          placeholder="Add a step"
+          placeholderTextColor={colors.muted}
+          accessibilityLabel="New step"
+          value={newName}
+          onChangeText={setNewName}
+          onSubmitEditing={handleAdd}
+          blurOnSubmit={false}
+          returnKeyType="done"
+          style={styles.nameInput}
+        />
+        <TouchableOpacity
+          onPress={handleAdd}
+          disabled={!newName.trim()}
+          style={styles.iconButton}
+          accessibilityRole="button"
+          accessibilityLabel="Add step"
+          accessibilityState={{ disabled: !newName.trim() }}
+        >
+          <Text style={[styles.addText, !newName.trim() && styles.iconDisabled]}>Add</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      marginBottom: 12
+    },
+    fieldLabel: {
+      fontSize: 13,
+      color: colors.muted,
+      marginBottom: 6
+    },
+    row: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 6
+    },
+    checkbox: {
+      width: 22,
+      height: 22,
+      borderRadius: 4,
+      borderWidth: 1,
+      borderColor: colors.border,
+      justifyContent: 'center',
+      alignItems: 'center',
+      marginRight: 8
+    },
+    checkboxChecked: {
+      backgroundColor: colors.success,
+      borderColor: colors.success
+    },
+    checkmark: {
+      fontSize: 13,
+      color: colors.onPrimary
+    },
+    nameInput: {
+      flex: 1,
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 6,
+      paddingHorizontal: 8,
+      paddingVertical: 6,
+      fontSize: 15,
+      color: colors.text
+    },
+    doneText: {
+      textDecorationLine: 'line-through',
+      color: colors.muted
+    },
+    iconButton: {
+      paddingHorizontal: 8,
+      paddingVertical: 4
+    },
+    iconText: {
+      fontSize: 16,
+      color: colors.primary
+    },
+    iconDisabled: {
+      color: colors.disabled
+    },
+    removeText: {
+      fontSize: 14,
+      color: colors.danger
+    },
+    addText: {
+      fontSize: 15,
+      color: colors.primary
+    }
+  });
+
+export default SubtaskEditor;
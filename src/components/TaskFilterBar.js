@@ -0,0 +1,178 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { DEFAULT_TASK_QUERY, TASK_SORTS, isFiltered, toggleValue } from '../utils/taskQuery';
+import LabelFilterChips from './LabelFilterChips';
+
+const STATUS_OPTIONS = [
+  { label: 'Pending', value: 'pending' },
+  { label: 'Completed', value: 'completed' }
+];
+
+/**
+ * Search box, filter chips, sort options and grouping for a task list. The
+ * project and tag chips are drawn from tasks. The query object (see
+ * utils/taskQuery) is owned by the parent; every change is reported through
+ * onChange with the whole updated query.
+ */
+const TaskFilterBar = ({ tasks, query, onChange }) => {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const update = changes => onChange({ ...query, ...changes });
+
+  const renderChip = (label, active, onPress, role = 'checkbox') => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.chip, active && styles.chipActive]}
+      onPress={onPress}
+      accessibilityRole={role}
+      accessibilityState={role === 'radio' ? { selected: active } : { checked: active }}
+    >
+      <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchRow}>
+        <TextInput
+          placeholder="Search tasks"
+          placeholderTextColor={colors.muted}
+          accessibilityLabel="Search tasks"
+          value={query.search}
+          onChangeText={search => update({ search })}
+          autoCapitalize="none"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+          style={styles.searchInput}
+        />
+        {isFiltered(query) && (
+          <TouchableOpacity
+            onPress={() => onChange({ ...DEFAULT_TASK_QUERY, sort: query.sort, groupBy: query.groupBy })}
+            style={styles.clearButton}
+            accessibilityRole="button"
+            accessibilityLabel="Clear search and filters"
+          >
+            <Text style={styles.clearButtonText}>Clear</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chipRow}
+        keyboardShouldPersistTaps="handled"
+      >
+        {['Want', 'Need', 'Both'].map(type =>
+          renderChip(type, query.types.includes(type), () => update({ types: toggleValue(query.types, type) }))
+        )}
+        <View style={styles.divider} />
+        {['Today', 'Later'].map(timing =>
+          renderChip(timing, query.timings.includes(timing), () =>
+            update({ timings: toggleValue(query.timings, timing) })
+          )
+        )}
+        <View style={styles.divider} />
+        {STATUS_OPTIONS.map(({ label, value }) =>
+          renderChip(label, query.status === value, () =>
+            update({ status: query.status === value ? 'all' : value })
+          )
+        )}
+        {renderChip('Selected for today', query.selectedOnly, () => update({ selectedOnly: !query.selectedOnly }))}
+      </ScrollView>
+      <LabelFilterChips
+        tasks={tasks}
+        filter={query}
+        onChange={({ projects, tags }) => update({ projects, tags })}
+        style={styles.labelRow}
+      />
+      <View style={styles.sortRow} accessibilityRole="radiogroup" accessibilityLabel="Sort by">
+        <Text style={styles.sortLabel}>Sort</Text>
+        {Object.entries(TASK_SORTS).map(([key, { label }]) =>
+          renderChip(label, query.sort === key, () => update({ sort: key }), 'radio')
+        )}
+      </View>
+      <View style={styles.sortRow}>
+        <Text style={styles.sortLabel}>Group</Text>
+        {renderChip('By project', query.groupBy === 'project', () =>
+          update({ groupBy: query.groupBy === 'project' ? 'none' : 'project' })
+        )}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      paddingTop: 8,
+      borderBottomWidth: StyleSheet.hairlineWidth,
+      borderBottomColor: colors.separator
+    },
+    searchRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16
+    },
+    searchInput: {
+      flex: 1,
+      borderRadius: 8,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      fontSize: 16,
+      backgroundColor: colors.fill,
+      color: colors.text
+    },
+    clearButton: {
+      paddingLeft: 12
+    },
+    clearButtonText: {
+      fontSize: 16,
+      color: colors.primary
+    },
+    chipRow: {
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingVertical: 8
+    },
+    chip: {
+      paddingVertical: 4,
+      paddingHorizontal: 10,
+      marginRight: 6,
+      borderRadius: 12,
+      backgroundColor: colors.fill
+    },
+    chipActive: {
+      backgroundColor: colors.primary
+    },
+    chipText: {
+      fontSize: 13,
+      color: colors.text
+    },
+    chipTextActive: {
+      color: colors.onPrimary
+    },
+    divider: {
+      width: StyleSheet.hairlineWidth,
+      height: 16,
+      marginRight: 6,
+      backgroundColor: colors.border
+    },
+    labelRow: {
+      flexGrow: 0,
+      marginBottom: 4
+    },
+    sortRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingBottom: 8
+    },
+    sortLabel: {
+      fontSize: 13,
+      color: colors.muted,
+      marginRight: 8
+    }
+  });
+
+export default TaskFilterBar;
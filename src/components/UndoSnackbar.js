@@ -0,0 +1,77 @@
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { useTasks } from '../context/TasksContext';
+import { useThemedStyles } from '../context/ThemeContext';
+
+// How long the snackbar stays visible, in milliseconds.
+const VISIBLE_DURATION = 5000;
+
+/**
+ * A snackbar offering to undo the latest destructive change, such as deleting
+ * a task or completing the day. It hides itself after a few seconds.
+ */
+const UndoSnackbar = () => {
+  const styles = useThemedStyles(createStyles);
+  const { undoNotice, undo, dismissUndoNotice } = useTasks();
+
+  useEffect(() => {
+    if (!undoNotice) return undefined;
+    const timer = setTimeout(dismissUndoNotice, VISIBLE_DURATION);
+    return () => clearTimeout(timer);
+  }, [undoNotice]);
+
+  if (!undoNotice) return null;
+
+  return (
+    <View style={styles.container} pointerEvents="box-none">
+      <View style={styles.snackbar}>
+        <Text style={styles.message} numberOfLines={2}>
+          {undoNotice.message}
+        </Text>
+        <TouchableOpacity onPress={undo} style={styles.action}>
+          <Text style={styles.actionText}>Undo</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      position: 'absolute',
+      left: 0,
+      right: 0,
+      bottom: 76,
+      alignItems: 'center'
+    },
+    snackbar: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      width: '92%',
+      paddingVertical: 12,
+      paddingHorizontal: 16,
+      borderRadius: 8,
+      backgroundColor: colors.snackbar,
+      shadowColor: colors.shadow,
+      shadowOpacity: 0.25,
+      shadowRadius: 4,
+      shadowOffset: { width: 0, height: 2 },
+      elevation: 6
+    },
+    message: {
+      flex: 1,
+      color: colors.snackbarText,
+      fontSize: 14
+    },
+    action: {
+      paddingLeft: 16
+    },
+    actionText: {
+      color: colors.snackbarAction,
+      fontSize: 14,
+      fontWeight: '600'
+    }
+  });
+
+export default UndoSnackbar;
@@ -1,101 +1,113 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import React, { createContext, useContext, useEffect, useMemo, useReducer, useRef, useState } from 'react';
+import { AppState } from 'react-native';
 import { v4 as uuidv4 } from 'uuid';
+import * as actions from '../store/actions';
+import { initialState, tasksReducer } from '../store/reducer';
+import {
+  selectCanRedo,
+  selectCanUndo,
+  selectCarriedOver,
+  selectEliminationCandidates,
+  selectIsNewDay,
+  selectPlannedMinutes,
+  selectSession,
+  selectSessionProgress,
+  selectTodayKey,
+  selectUndoNotice
+} from '../store/selectors';
+import { validateTasks } from '../utils/validation';
+import { STORAGE_KEYS, loadPersistedState } from '../storage/persistence';
+import { COLLECTIONS, diffRecords } from '../storage/adapter';
+import { planReminders } from '../utils/reminders';
+import { getPlanSignature } from '../notifications/notifier';
 
-// Define type weights and timing weights for calculating priority.
-const TYPE_WEIGHTS = {
-  Want: 1,
-  Need: 2,
-  Both: 3
-};
-const TIMING_WEIGHTS = {
-  Today: 2,
-  Later: 1
-};
-
-// Helper to compute the weight of a task based on its type and timing.
-const computeWeight = task => {
-  const typeWeight = TYPE_WEIGHTS[task.type] || 1;
-  const timingWeight = TIMING_WEIGHTS[task.timing] || 1;
-  return typeWeight * timingWeight;
-};
+// The device-backed defaults are only loaded when no other adapter is passed
+// in, so the provider can run under Jest without SQLite, AsyncStorage or
+// expo-notifications.
+const createDefaultStorage = () => require('../storage/deviceStorage').createDeviceStorage();
+const createDefaultNotifier = () => require('../notifications/expoNotifier').createExpoNotifier();
 
 const TasksContext = createContext({});
 
 export const useTasks = () => useContext(TasksContext);
 
+// Tasks seeded on first launch.
+const createSampleTasks = () => {
+  const now = Date.now();
+  return validateTasks([
+    { id: uuidv4(), name: 'Read a book', type: 'Want', timing: 'Later', createdAt: now },
+    { id: uuidv4(), name: 'Pay bills', type: 'Need', timing: 'Today', createdAt: now },
+    { id: uuidv4(), name: 'Exercise', type: 'Both', timing: 'Today', createdAt: now }
+  ]).valid;
+};
+
 /**
  * The TasksProvider component wraps the application and provides
  * the tasks state, along with helpers for persisting and manipulating
- * tasks. It utilises AsyncStorage so that data persists between app launches.
+ * tasks. All business rules live in the framework-agnostic store
+ * (src/store); this provider only binds it to React and to persistence.
+ * Data is persisted through a StorageAdapter (SQLite on a device, see
+ * storage/deviceStorage) so that it survives app launches; pass another
+ * adapter via the storage prop, e.g. the in-memory one in tests.
+ * Reminders are scheduled through a Notifier (expo-notifications by default),
+ * which can likewise be swapped via the notifier prop.
  */
-export const TasksProvider = ({ children }) => {
-  const [tasks, setTasks] = useState([]);
-  const [lastActiveDate, setLastActiveDate] = useState(null);
+export const TasksProvider = ({ children, storage: storageProp, notifier: notifierProp }) => {
+  const [storage] = useState(() => storageProp || createDefaultStorage());
+  const [notifier] = useState(() => notifierProp || createDefaultNotifier());
+  const [state, dispatch] = useReducer(tasksReducer, initialState);
+  const { tasks, history, settings, lastActiveDate, rolloverDate, session } = state;
+  const [storageIssues, setStorageIssues] = useState([]);
   const [isInitialised, setIsInitialised] = useState(false);
+  // The last task list and history written to storage, used to work out
+  // which records changed.
+  const persistedTasks = useRef([]);
+  const persistedHistory = useRef({});
+  // Actions dispatched within the same tick share a batch number, so that
+  // e.g. every outcome recorded by the end-of-day review is undone in one step.
+  const batch = useRef({ id: 0, open: false });
+  // The reminder plan last handed to the notifier, and a counter bumped each
+  // time the app returns to the foreground, when the plan may have moved on.
+  const scheduledPlan = useRef(null);
+  const [foregrounded, setForegrounded] = useState(0);
 
-  // Load persisted tasks and last active date on mount.
+  // Load persisted state on mount. Loading migrates old data to the current
+  // schema and sets aside anything unreadable. If storage itself fails, the
+  // provider stays uninitialised so nothing is written back over the data.
   useEffect(() => {
     const init = async () => {
       try {
-        const tasksJSON = await AsyncStorage.getItem('@tasks');
-        const dateStr = await AsyncStorage.getItem('@lastActiveDate');
-        if (tasksJSON) {
-          const parsed = JSON.parse(tasksJSON);
-          // Recalculate weights on load in case of version changes.
-          const withWeights = parsed.map(t => ({ ...t, weight: computeWeight(t) }));
-          setTasks(withWeights);
-        } else {
-          // Populate with some sample tasks on first launch.
-          const sample = [
-            {
-              id: uuidv4(),
-              name: 'Read a book',
-              type: 'Want',
-              timing: 'Later',
-              completed: false,
-              todaySelected: false,
-              createdAt: Date.now(),
-              updatedAt: Date.now()
-            },
-            {
-              id: uuidv4(),
-              name: 'Pay bills',
-              type: 'Need',
-              timing: 'Today',
-              completed: false,
-              todaySelected: false,
-              createdAt: Date.now(),
-              updatedAt: Date.now()
-            },
-            {
-              id: uuidv4(),
-              name: 'Exercise',
-              type: 'Both',
-              timing: 'Today',
-              completed: false,
-              todaySelected: false,
-              createdAt: Date.now(),
-              updatedAt: Date.now()
-            }
-          ];
-          const sampleWithWeights = sample.map(t => ({ ...t, weight: computeWeight(t) }));
-          setTasks(sampleWithWeights);
-        }
-        setLastActiveDate(dateStr);
+        const loaded = await loadPersistedState(storage);
+        persistedTasks.current = loaded.tasks;
+        persistedHistory.current = loaded.history;
+        setStorageIssues(loaded.issues);
+        dispatch(
+          actions.hydrate({
+            tasks: loaded.firstLaunch ? createSampleTasks() : loaded.tasks,
+            history: loaded.history,
+            settings: loaded.settings,
+            lastActiveDate: loaded.lastActiveDate,
+            rolloverDate: loaded.rolloverDate,
+            session: loaded.session
+          })
+        );
+        setIsInitialised(true);
       } catch (err) {
         console.error('Error loading tasks from storage', err);
-      } finally {
-        setIsInitialised(true);
       }
     };
     init();
   }, []);
 
-  // Persist tasks and last active date to storage whenever they change.
+  // Persist changed tasks to storage, one record at a time.
   useEffect(() => {
     if (!isInitialised) return;
-    AsyncStorage.setItem('@tasks', JSON.stringify(tasks)).catch(err => {
+    const { upserts, deletes } = diffRecords(persistedTasks.current, tasks);
+    persistedTasks.current = tasks;
+    Promise.all([
+      upserts.length ? storage.upsert(COLLECTIONS.tasks, upserts) : null,
+      deletes.length ? storage.delete(COLLECTIONS.tasks, deletes) : null
+    ]).catch(err => {
       console.error('Error saving tasks to storage', err);
     });
   }, [tasks, isInitialised]);
@@ -103,132 +115,159 @@ export const TasksProvider = ({ children }) => {
   useEffect(() => {
     if (!isInitialised) return;
     if (lastActiveDate) {
-      AsyncStorage.setItem('@lastActiveDate', lastActiveDate).catch(err => {
+      storage.setItem(STORAGE_KEYS.lastActiveDate, lastActiveDate).catch(err => {
         console.error('Error saving last active date', err);
       });
     }
   }, [lastActiveDate, isInitialised]);
 
-  /**
-   * Adds a new task to the task list.
-   */
-  const addTask = (name, type, timing) => {
-    const newTask = {
-      id: uuidv4(),
-      name: name.trim(),
-      type,
-      timing,
-      completed: false,
-      todaySelected: false,
-      createdAt: Date.now(),
-      updatedAt: Date.now()
-    };
-    newTask.weight = computeWeight(newTask);
-    setTasks(prev => [newTask, ...prev]);
-  };
+  useEffect(() => {
+    if (!isInitialised || !rolloverDate) return;
+    storage.setItem(STORAGE_KEYS.rolloverDate, rolloverDate).catch(err => {
+      console.error('Error saving rollover date', err);
+    });
+  }, [rolloverDate, isInitialised]);
 
-  /**
-   * Updates an existing task based on its id. Also recomputes its weight.
-   */
-  const updateTask = (id, updates) => {
-    setTasks(prev =>
-      prev.map(t => {
-        if (t.id !== id) return t;
-        const updated = { ...t, ...updates, updatedAt: Date.now() };
-        updated.weight = computeWeight(updated);
-        return updated;
-      })
-    );
-  };
+  useEffect(() => {
+    if (!isInitialised) return;
+    const changedDays = Object.keys(history).filter(date => history[date] !== persistedHistory.current[date]);
+    // Days can disappear too, e.g. when undo restores an earlier history.
+    const removedDays = Object.keys(persistedHistory.current).filter(date => !(date in history));
+    persistedHistory.current = history;
+    const records = changedDays.map(date => ({ ...history[date], id: date }));
+    Promise.all([
+      records.length ? storage.upsert(COLLECTIONS.history, records) : null,
+      removedDays.length ? storage.delete(COLLECTIONS.history, removedDays) : null
+    ]).catch(err => {
+      console.error('Error saving history to storage', err);
+    });
+  }, [history, isInitialised]);
 
-  /**
-   * Removes a task from the list by id.
-   */
-  const removeTask = id => {
-    setTasks(prev => prev.filter(t => t.id !== id));
-  };
+  useEffect(() => {
+    if (!isInitialised) return;
+    storage.setItem(STORAGE_KEYS.settings, JSON.stringify(settings)).catch(err => {
+      console.error('Error saving settings', err);
+    });
+  }, [settings, isInitialised]);
 
-  /**
-   * Marks a task as completed/incomplete.
-   */
-  const toggleCompleted = id => {
-    setTasks(prev =>
-      prev.map(t => {
-        if (t.id === id) {
-          return { ...t, completed: !t.completed, todaySelected: t.completed ? t.todaySelected : false, updatedAt: Date.now() };
-        }
-        return t;
-      })
-    );
-  };
+  useEffect(() => {
+    if (!isInitialised) return;
+    storage.setItem(STORAGE_KEYS.eliminationSession, JSON.stringify(session)).catch(err => {
+      console.error('Error saving elimination session', err);
+    });
+  }, [session, isInitialised]);
 
-  /**
-   * Sets whether a task should appear on the Today dashboard.
-   */
-  const setTodaySelected = (id, selected) => {
-    setTasks(prev =>
-      prev.map(t => (t.id === id ? { ...t, todaySelected: selected, updatedAt: Date.now() } : t))
-    );
-  };
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextState => {
+      if (nextState === 'active') setForegrounded(count => count + 1);
+    });
+    return () => subscription.remove();
+  }, []);
 
-  /**
-   * Clears the Today selected flag on all tasks. Typically used when starting a new day or prior to re-prioritising.
-   */
-  const clearTodaySelections = () => {
-    setTasks(prev => prev.map(t => ({ ...t, todaySelected: false })));
-  };
+  // Carry unfinished tasks over as soon as a new day is noticed (on launch or
+  // on returning to the app), before any prompt, so the rollover policy
+  // applies however the day is then started.
+  useEffect(() => {
+    if (isInitialised) dispatch(actions.rollOverDay());
+  }, [isInitialised, foregrounded]);
 
-  /**
-   * Checks if the current date is different from the last active date stored. Returns true if it's a new day.
-   */
-  const isNewDay = () => {
-    const todayStr = new Date().toISOString().split('T')[0];
-    return lastActiveDate !== todayStr;
-  };
+  // Reschedule reminders whenever the tasks or settings change what they
+  // should be. The device is only touched when the plan differs.
+  useEffect(() => {
+    if (!isInitialised) return;
+    const reminders = planReminders(tasks, settings);
+    const signature = getPlanSignature(reminders);
+    if (signature === scheduledPlan.current) return;
+    scheduledPlan.current = signature;
+    notifier.replaceAll(reminders).catch(err => {
+      console.error('Error scheduling reminders', err);
+    });
+  }, [tasks, settings, isInitialised, foregrounded]);
 
   /**
-   * Updates the last active date to today.
+   * Dispatches an action, tagging it with the current batch number.
    */
-  const updateLastActiveDate = () => {
-    const todayStr = new Date().toISOString().split('T')[0];
-    setLastActiveDate(todayStr);
+  const dispatchAction = action => {
+    if (!batch.current.open) {
+      batch.current = { id: batch.current.id + 1, open: true };
+      Promise.resolve().then(() => {
+        batch.current = { ...batch.current, open: false };
+      });
+    }
+    dispatch({ ...action, meta: { batch: batch.current.id } });
   };
 
   /**
-   * Returns a sorted list of tasks to present in the elimination process. Excludes completed tasks.
-   * It computes unique weight values, sorted descending, and returns up to 10 tasks.
+   * Turns reminders on once notification permission is granted. Resolves with
+   * whether it was.
    */
-  const getEliminationCandidates = () => {
-    // Exclude completed tasks
-    const pending = tasks.filter(t => !t.completed);
-    // Sort by weight desc, then name asc
-    const sorted = pending.sort((a, b) => {
-      if (b.weight !== a.weight) return b.weight - a.weight;
-      return a.name.localeCompare(b.name);
-    });
-    // Determine top 5 unique weight values
-    const uniqueWeights = Array.from(new Set(sorted.map(t => t.weight))).sort((a, b) => b - a).slice(0, 5);
-    // Filter tasks whose weight is in top unique weights
-    const filtered = sorted.filter(t => uniqueWeights.includes(t.weight));
-    return filtered.slice(0, 10);
+  const enableReminders = async () => {
+    const granted = await notifier.requestPermission();
+    if (granted) dispatchAction(actions.updateSettings({ reminders: { ...settings.reminders, enabled: true } }));
+    return granted;
   };
 
+  const undoMessage = selectUndoNotice(state);
+  const undoNotice = useMemo(
+    () => (undoMessage ? { message: undoMessage } : null),
+    [undoMessage, state.undo.notice]
+  );
+
   return (
     <TasksContext.Provider
       value={{
         tasks,
-        addTask,
-        updateTask,
-        removeTask,
-        toggleCompleted,
-        setTodaySelected,
-        clearTodaySelections,
-        isNewDay,
-        updateLastActiveDate,
-        getEliminationCandidates
+        settings,
+        history,
+        storageIssues,
+        isInitialised,
+        addTask: (name, type, timing, extras) => dispatchAction(actions.addTask(name, type, timing, extras)),
+        updateTask: (id, updates) => dispatchAction(actions.updateTask(id, updates)),
+        removeTask: id => dispatchAction(actions.removeTask(id)),
+        importTasks: (incoming, overwrite) => dispatchAction(actions.importTasks(incoming, overwrite)),
+        toggleCompleted: id => dispatchAction(actions.toggleCompleted(id)),
+        toggleSubtask: (id, subtaskId) => dispatchAction(actions.toggleSubtask(id, subtaskId)),
+        setTaskOutcome: (id, outcome) => dispatchAction(actions.setTaskOutcome(id, outcome)),
+        batchUpdate: (ids, operation, updates) => dispatchAction(actions.batchUpdate(ids, operation, updates)),
+        setTodaySelected: (id, selected) => dispatchAction(actions.setTodaySelected(id, selected)),
+        recordEliminationDecision: (id, accepted) => dispatchAction(actions.recordDecision(id, accepted)),
+        recordActualTime: (id, minutes) => dispatchAction(actions.recordActualTime(id, minutes)),
+        eliminationSession: selectSession(state),
+        sessionProgress: selectSessionProgress(state),
+        startEliminationSession: (replaceSelections, filter) =>
+          dispatchAction(
+            actions.startSession(
+              selectEliminationCandidates(state, filter).map(t => t.id),
+              replaceSelections,
+              filter
+            )
+          ),
+        decideInSession: (id, accepted) => dispatchAction(actions.decideInSession(id, accepted)),
+        compareInSession: (winnerId, loserId) => dispatchAction(actions.compareInSession(winnerId, loserId)),
+        undoSessionDecision: () => dispatchAction(actions.undoSessionDecision()),
+        commitEliminationSession: () => dispatchAction(actions.commitSession()),
+        discardEliminationSession: () => dispatchAction(actions.discardSession()),
+        plannedMinutes: selectPlannedMinutes(state),
+        carriedOver: selectCarriedOver(state),
+        clearTodaySelections: () => dispatchAction(actions.clearTodaySelections()),
+        getTodayKey: () => selectTodayKey(state),
+        isNewDay: () => selectIsNewDay(state),
+        updateLastActiveDate: () => dispatchAction(actions.markDayActive()),
+        getEliminationCandidates: filter => selectEliminationCandidates(state, filter),
+        undo: () => dispatchAction(actions.undo()),
+        redo: () => dispatchAction(actions.redo()),
+        canUndo: selectCanUndo(state),
+        canRedo: selectCanRedo(state),
+        undoNotice,
+        dismissUndoNotice: () => dispatchAction(actions.dismissUndoNotice()),
+        updateSettings: updates => dispatchAction(actions.updateSettings(updates)),
+        updateScoringConfig: updates => dispatchAction(actions.updateScoringConfig(updates)),
+        resetScoringConfig: () => dispatchAction(actions.resetScoringConfig()),
+        enableReminders,
+        addReminderListener: listener => notifier.addResponseListener(listener)
       }}
     >
       {children}
     </TasksContext.Provider>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,68 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { TasksProvider, useTasks } from './TasksContext';
+import { createMemoryAdapter } from '../storage/memoryAdapter';
+import { createMemoryNotifier } from '../notifications/memoryNotifier';
+import { COLLECTIONS } from '../storage/adapter';
+import { CURRENT_SCHEMA_VERSION } from '../storage/migrations';
+import { STORAGE_KEYS } from '../storage/persistence';
+
+const stored = {
+  collections: {
+    tasks: [{ id: 'a', name: 'Pay bills', type: 'Need', timing: 'Today', createdAt: 0 }]
+  },
+  items: { [STORAGE_KEYS.schemaVersion]: String(CURRENT_SCHEMA_VERSION) }
+};
+
+// Renders the provider and returns a function that reads the latest context.
+const renderProvider = async props => {
+  let context;
+  const Probe = () => {
+    context = useTasks();
+    return null;
+  };
+  await act(async () => {
+    TestRenderer.create(
+      <TasksProvider {...props}>
+        <Probe />
+      </TasksProvider>
+    );
+  });
+  return () => context;
+};
+
+describe('TasksProvider', () => {
+  it('loads the tasks from the storage adapter', async () => {
+    const tasks = await renderProvider({ storage: createMemoryAdapter(stored), notifier: createMemoryNotifier() });
+    expect(tasks().isInitialised).toBe(true);
+    expect(tasks().tasks.map(t => t.name)).toEqual(['Pay bills']);
+  });
+
+  it('seeds sample tasks on first launch', async () => {
+    const tasks = await renderProvider({ storage: createMemoryAdapter(), notifier: createMemoryNotifier() });
+    expect(tasks().tasks).toHaveLength(3);
+  });
+
+  it('saves changes through the storage adapter', async () => {
+    const storage = createMemoryAdapter(stored);
+    const tasks = await renderProvider({ storage, notifier: createMemoryNotifier() });
+    await act(async () => {
+      tasks().addTask('Water plants', 'Want', 'Later');
+    });
+    await act(async () => {
+      tasks().removeTask('a');
+    });
+    expect((await storage.load(COLLECTIONS.tasks)).map(t => t.name)).toEqual(['Water plants']);
+  });
+
+  it('schedules reminders through the notifier once they are turned on', async () => {
+    const notifier = createMemoryNotifier();
+    const tasks = await renderProvider({ storage: createMemoryAdapter(stored), notifier });
+    expect(notifier.scheduled()).toEqual([]);
+    await act(async () => {
+      await tasks().enableReminders();
+    });
+    expect(tasks().settings.reminders.enabled).toBe(true);
+    expect(notifier.scheduled().length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,30 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { useColorScheme } from 'react-native';
+import { useTasks } from './TasksContext';
+import { lightTheme, resolveTheme } from '../theme/themes';
+
+const ThemeContext = createContext(lightTheme);
+
+export const useTheme = () => useContext(ThemeContext);
+
+/**
+ * Builds a component's styles from the current theme. createStyles receives
+ * the palette and should return a StyleSheet; it is only called again when
+ * the theme changes.
+ */
+export const useThemedStyles = createStyles => {
+  const theme = useTheme();
+  return useMemo(() => createStyles(theme.colors), [theme, createStyles]);
+};
+
+/**
+ * Provides the active theme. It follows the device appearance unless the
+ * user picked light or dark in settings, and must be rendered inside
+ * TasksProvider.
+ */
+export const ThemeProvider = ({ children }) => {
+  const { settings } = useTasks();
+  const systemScheme = useColorScheme();
+  const theme = resolveTheme(settings.appearance, systemScheme);
+  return <ThemeContext.Provider value={theme}>{children}</ThemeContext.Provider>;
+};
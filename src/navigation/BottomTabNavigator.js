@@ -2,16 +2,21 @@ import React from 'react';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import TodayScreen from '../screens/TodayScreen';
 import AllTasksScreen from '../screens/AllTasksScreen';
+import StatsScreen from '../screens/StatsScreen';
+import SettingsScreen from '../screens/SettingsScreen';
 import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
 
 const Tab = createBottomTabNavigator();
 
 /**
- * The bottom tab navigator defines two tabs: Today and All Tasks.
+ * The bottom tab navigator defines the Today, All Tasks, Stats and Settings tabs.
  * Icons are chosen to represent their functions. Tab bar styling is
- * intentionally minimal to keep the focus on content.
+ * intentionally minimal to keep the focus on content; its colours come from
+ * the active theme.
  */
 const BottomTabNavigator = () => {
+  const { colors } = useTheme();
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
@@ -22,16 +27,28 @@ const BottomTabNavigator = () => {
             iconName = 'checkmark-done-circle-outline';
           } else if (route.name === 'All Tasks') {
             iconName = 'list-circle-outline';
+          } else if (route.name === 'Stats') {
+            iconName = 'stats-chart-outline';
+          } else if (route.name === 'Settings') {
+            iconName = 'settings-outline';
           }
           return <Ionicons name={iconName} size={size} color={color} />;
         },
-        tabBarActiveTintColor: '#007AFF',
-        tabBarInactiveTintColor: '#8e8e93',
-        tabBarStyle: { paddingTop: 4, paddingBottom: 6, height: 60 }
+        tabBarActiveTintColor: colors.primary,
+        tabBarInactiveTintColor: colors.muted,
+        tabBarStyle: {
+          paddingTop: 4,
+          paddingBottom: 6,
+          height: 60,
+          backgroundColor: colors.surface,
+          borderTopColor: colors.separator
+        }
       })}
     >
       <Tab.Screen name="Today" component={TodayScreen} />
       <Tab.Screen name="All Tasks" component={AllTasksScreen} options={{ title: 'All Tasks' }} />
+      <Tab.Screen name="Stats" component={StatsScreen} />
+      <Tab.Screen name="Settings" component={SettingsScreen} />
     </Tab.Navigator>
   );
 };
@@ -0,0 +1,34 @@
+import { LINK_SCHEME } from '../utils/deepLinks';
+
+/**
+ * Links that open the app on a given screen:
+ *
+ *   todo://today            the Today tab
+ *   todo://eliminate        the elimination round
+ *   todo://task/<id>        a task, open in the editor
+ *   todo://add?name=…       a new task, added once the user confirms it
+ *   todo://add?text=…       the same from a quick-add line
+ *
+ * The root stack always starts from Main, so closing a linked modal lands on
+ * the tabs. The scheme is registered with the OS by expo.scheme in app.json,
+ * which must match LINK_SCHEME.
+ */
+export const linking = {
+  prefixes: [`${LINK_SCHEME}://`],
+  config: {
+    initialRouteName: 'Main',
+    screens: {
+      Main: {
+        screens: {
+          Today: 'today',
+          'All Tasks': 'task/:taskId'
+        }
+      },
+      Elimination: {
+        path: 'eliminate',
+        parse: { replaceSelections: value => value === 'true' }
+      },
+      AddFromLink: 'add'
+    }
+  }
+};
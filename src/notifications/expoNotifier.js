@@ -0,0 +1,67 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+// Android groups notifications into channels the user can mute separately.
+const CHANNEL_ID = 'reminders';
+
+/**
+ * Creates the Notifier backed by expo-notifications. Reminders are scheduled
+ * as one-off local notifications and are shown even while the app is open.
+ *
+ * @returns {import('./notifier').Notifier}
+ */
+export const createExpoNotifier = () => {
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: true,
+      shouldShowList: true,
+      shouldPlaySound: false,
+      shouldSetBadge: false
+    })
+  });
+
+  return {
+    requestPermission: async () => {
+      if (Platform.OS === 'android') {
+        await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+          name: 'Reminders',
+          importance: Notifications.AndroidImportance.DEFAULT
+        });
+      }
+      const current = await Notifications.getPermissionsAsync();
+      if (current.granted) return true;
+      const requested = await Notifications.requestPermissionsAsync();
+      return requested.granted;
+    },
+
+    replaceAll: async reminders => {
+      await Notifications.cancelAllScheduledNotificationsAsync();
+      await Promise.all(
+        reminders.map(reminder =>
+          Notifications.scheduleNotificationAsync({
+            identifier: reminder.id,
+            content: { title: reminder.title, body: reminder.body, data: reminder.data },
+            trigger: {
+              type: Notifications.SchedulableTriggerInputTypes.DATE,
+              date: reminder.at,
+              channelId: CHANNEL_ID
+            }
+          })
+        )
+      );
+    },
+
+    addResponseListener: listener => {
+      const handle = response => listener(response.notification.request.content.data);
+      const subscription = Notifications.addNotificationResponseReceivedListener(handle);
+      // A reminder that launched the app was opened before anyone listened.
+      // It is cleared once handled so it is not acted on twice.
+      Notifications.getLastNotificationResponseAsync().then(response => {
+        if (!response) return;
+        Notifications.clearLastNotificationResponseAsync();
+        handle(response);
+      });
+      return () => subscription.remove();
+    }
+  };
+};
@@ -0,0 +1,29 @@
+/**
+ * Creates a Notifier that only keeps the schedule in memory. It is intended
+ * for tests and previews: scheduled() returns the pending reminders and
+ * open(data) acts as if the user had tapped a reminder with that data.
+ *
+ * @param {{ granted?: boolean }} options Whether permission requests succeed.
+ * @returns {import('./notifier').Notifier & { scheduled: () => Object[], open: (data: Object) => void }}
+ */
+export const createMemoryNotifier = ({ granted = true } = {}) => {
+  let pending = [];
+  const listeners = new Set();
+
+  return {
+    requestPermission: async () => granted,
+
+    replaceAll: async reminders => {
+      pending = reminders.map(r => ({ ...r }));
+    },
+
+    addResponseListener: listener => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    scheduled: () => pending.map(r => ({ ...r })),
+
+    open: data => listeners.forEach(listener => listener(data))
+  };
+};
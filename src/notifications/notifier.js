@@ -0,0 +1,23 @@
+/**
+ * The interface through which reminders reach the device. The schedule
+ * itself is planned by utils/reminders; a notifier only has to put it in
+ * place and report when the user opens one. TasksProvider takes a notifier
+ * as a prop, so tests and previews can pass the in-memory one instead of
+ * expo-notifications.
+ *
+ * @typedef {Object} Notifier
+ * @property {() => Promise<boolean>} requestPermission
+ *   Asks the user for permission to show notifications, if not yet granted,
+ *   and resolves with whether it is granted.
+ * @property {(reminders: Object[]) => Promise<void>} replaceAll
+ *   Cancels every pending reminder and schedules the given ones instead.
+ * @property {(listener: (data: Object) => void) => () => void} addResponseListener
+ *   Calls listener with a reminder's data whenever the user opens one,
+ *   including the one that launched the app. Returns an unsubscribe function.
+ */
+
+/**
+ * A fingerprint of a reminder plan, used to skip rescheduling when a change
+ * to the tasks or settings leaves the plan as it was.
+ */
+export const getPlanSignature = reminders => JSON.stringify(reminders.map(r => [r.id, r.at, r.title, r.body]));
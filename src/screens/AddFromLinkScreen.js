@@ -0,0 +1,168 @@
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import Haptics from 'expo-haptics';
+import { useTasks } from '../context/TasksContext';
+import { useThemedStyles } from '../context/ThemeContext';
+import { parseAddLink } from '../utils/deepLinks';
+import { formatDuration } from '../utils/estimates';
+
+/**
+ * The AddFromLinkScreen is the confirmation sheet shown when a todo://add
+ * link opens the app. It lists the task the link describes and adds it only
+ * when the user confirms; a link with invalid parameters shows what is wrong
+ * and can only be dismissed.
+ */
+const AddFromLinkScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { addTask, getTodayKey } = useTasks();
+  const { task, errors } = parseAddLink(route.params, getTodayKey());
+
+  const handleAdd = () => {
+    addTask(task.name, task.type, task.timing, task.extras);
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    navigation.goBack();
+  };
+
+  const { dueDate, estimate, project, tags } = task ? task.extras : {};
+  const rows = task
+    ? [
+        ['Type', task.type],
+        ['Timing', task.timing],
+        ['Due', dueDate],
+        ['Estimate', estimate ? formatDuration(estimate) : null],
+        ['Project', project],
+        ['Tags', tags.length ? tags.map(tag => `#${tag}`).join(' ') : null]
+      ].filter(([, value]) => value)
+    : [];
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {task ? (
+        <>
+          <Text style={styles.title} accessibilityRole="header">
+            Add this task?
+          </Text>
+          <Text style={styles.hint}>A link asked to add the following task to your list.</Text>
+          <View style={styles.preview}>
+            <Text style={styles.taskName}>{task.name}</Text>
+            {rows.map(([label, value]) => (
+              <View key={label} style={styles.detailRow}>
+                <Text style={styles.detailLabel}>{label}</Text>
+                <Text style={styles.detailValue}>{value}</Text>
+              </View>
+            ))}
+          </View>
+        </>
+      ) : (
+        <>
+          <Text style={styles.title} accessibilityRole="header">
+            This link can’t add a task
+          </Text>
+          <View style={styles.preview}>
+            {errors.map(error => (
+              <Text key={error} style={styles.errorText}>
+                • {error}
+              </Text>
+            ))}
+          </View>
+        </>
+      )}
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={[styles.button, styles.secondaryButton]}
+          onPress={() => navigation.goBack()}
+          accessibilityRole="button"
+        >
+          <Text style={styles.secondaryButtonText}>{task ? 'Cancel' : 'Close'}</Text>
+        </TouchableOpacity>
+        {task && (
+          <TouchableOpacity style={styles.button} onPress={handleAdd} accessibilityRole="button">
+            <Text style={styles.buttonText}>Add task</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background
+    },
+    content: {
+      padding: 16
+    },
+    title: {
+      fontSize: 20,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 4
+    },
+    hint: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      marginBottom: 12
+    },
+    preview: {
+      marginTop: 8,
+      padding: 16,
+      borderRadius: 12,
+      backgroundColor: colors.fill
+    },
+    taskName: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 8
+    },
+    detailRow: {
+      flexDirection: 'row',
+      paddingVertical: 4
+    },
+    detailLabel: {
+      width: 80,
+      fontSize: 14,
+      color: colors.muted
+    },
+    detailValue: {
+      flex: 1,
+      fontSize: 14,
+      color: colors.text
+    },
+    errorText: {
+      fontSize: 14,
+      color: colors.danger,
+      marginBottom: 4
+    },
+    buttonRow: {
+      flexDirection: 'row',
+      marginTop: 16
+    },
+    button: {
+      flex: 1,
+      backgroundColor: colors.primary,
+      paddingVertical: 12,
+      borderRadius: 8,
+      alignItems: 'center',
+      marginRight: 8
+    },
+    buttonText: {
+      color: colors.onPrimary,
+      fontSize: 16,
+      fontWeight: '500'
+    },
+    secondaryButton: {
+      backgroundColor: colors.fill
+    },
+    secondaryButtonText: {
+      color: colors.primary,
+      fontSize: 16
+    }
+  });
+
+export default AddFromLinkScreen;
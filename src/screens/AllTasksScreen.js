@@ -1,69 +1,224 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
   View,
   Text,
-  FlatList,
+  SectionList,
   TouchableOpacity,
   StyleSheet,
   Modal,
   TextInput,
-  Alert
+  Alert,
+  ScrollView
 } from 'react-native';
+import { useNavigation, useRoute } from '@react-navigation/native';
 import { useTasks } from '../context/TasksContext';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
 import Haptics from 'expo-haptics';
+import DateField from '../components/DateField';
+import RecurrenceField, { fromRecurrenceDraft, toRecurrenceDraft } from '../components/RecurrenceField';
+import TaskFilterBar from '../components/TaskFilterBar';
+import BatchActionBar from '../components/BatchActionBar';
+import SubtaskEditor from '../components/SubtaskEditor';
+import QuickAddPreview from '../components/QuickAddPreview';
+import { isValidDateKey } from '../utils/dates';
+import { isOverdue } from '../utils/schedule';
+import { describeRecurrence, isValidRecurrence } from '../utils/recurrence';
+import { formatDuration, parseDuration } from '../utils/estimates';
+import { describeTask } from '../utils/accessibility';
+import { DEFAULT_TASK_QUERY, groupByProject, queryTasks } from '../utils/taskQuery';
+import { formatTags, getAllProjects, normaliseLabel, parseTags } from '../utils/tags';
+import { formatSubtaskProgress, getSubtaskProgress, normaliseSubtasks } from '../utils/subtasks';
+import { parseQuickAdd } from '../utils/quickAdd';
+import { isDropped } from '../utils/outcomes';
 
 /**
  * The AllTasksScreen displays every task ever created, regardless of its current
- * status. Users can add new tasks, edit existing ones, or delete tasks. Each
- * task row shows its name, type, timing and calculated weight, along with
- * visual indicators for completion status. Editing allows changing the type
- * and timing, and adding allows specifying all fields.
+ * status. Users can add tasks (from a quick-add line, or the full form), edit
+ * them or delete them, and search, filter, sort and group the list. Completed
+ * and dropped tasks are kept in their own collapsed section. Long-pressing a
+ * task starts a multi-select mode with batch actions.
  */
 const AllTasksScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { colors } = useTheme();
+  const navigation = useNavigation();
+  const route = useRoute();
   const {
     tasks,
+    isInitialised,
     addTask,
     updateTask,
     removeTask,
-    toggleCompleted
+    toggleCompleted,
+    setTaskOutcome,
+    batchUpdate,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    getTodayKey
   } = useTasks();
 
   const [modalVisible, setModalVisible] = useState(false);
+  // New tasks start as a quick-add line; the full form is one tap away.
+  const [quickMode, setQuickMode] = useState(false);
+  const [quickInput, setQuickInput] = useState('');
   const [editingTask, setEditingTask] = useState(null);
   const [nameInput, setNameInput] = useState('');
   const [typeInput, setTypeInput] = useState('Want');
   const [timingInput, setTimingInput] = useState('Today');
+  const [boostInput, setBoostInput] = useState(0);
+  const [estimateInput, setEstimateInput] = useState('');
+  const [projectInput, setProjectInput] = useState('');
+  const [tagsInput, setTagsInput] = useState('');
+  const [subtasksInput, setSubtasksInput] = useState([]);
+  const [dueDateInput, setDueDateInput] = useState('');
+  const [startAfterInput, setStartAfterInput] = useState('');
+  const [recurrenceDraft, setRecurrenceDraft] = useState(toRecurrenceDraft(null));
+  const [query, setQuery] = useState(DEFAULT_TASK_QUERY);
+  const [completedExpanded, setCompletedExpanded] = useState(false);
+  // Ids of the tasks picked in multi-select mode, or null outside it.
+  const [selectedIds, setSelectedIds] = useState(null);
+
+  const todayKey = getTodayKey();
+  const { pending, completed } = useMemo(() => queryTasks(tasks, query, todayKey), [tasks, query, todayKey]);
+  // Filtering on completed tasks only would leave nothing to show otherwise.
+  const showCompleted = completedExpanded || query.status === 'completed';
+  const sections =
+    query.groupBy === 'project'
+      ? groupByProject(pending).map(group => ({
+          key: `project:${group.project}`,
+          title: group.project,
+          data: group.tasks
+        }))
+      : [{ key: 'pending', data: pending }];
+  if (completed.length) {
+    sections.push({ key: 'completed', data: showCompleted ? completed : [] });
+  }
 
   const openAddModal = () => {
     setEditingTask(null);
+    setQuickMode(true);
+    setQuickInput('');
     setNameInput('');
     setTypeInput('Want');
     setTimingInput('Today');
+    setBoostInput(0);
+    setEstimateInput('');
+    setProjectInput('');
+    setTagsInput('');
+    setSubtasksInput([]);
+    setDueDateInput('');
+    setStartAfterInput('');
+    setRecurrenceDraft(toRecurrenceDraft(null));
     setModalVisible(true);
   };
 
   const openEditModal = task => {
     setEditingTask(task);
+    setQuickMode(false);
     setNameInput(task.name);
     setTypeInput(task.type);
     setTimingInput(task.timing);
+    setBoostInput(task.boost || 0);
+    setEstimateInput(task.estimate ? formatDuration(task.estimate) : '');
+    setProjectInput(task.project || '');
+    setTagsInput(formatTags(task.tags || []));
+    setSubtasksInput(task.subtasks || []);
+    setDueDateInput(task.dueDate || '');
+    setStartAfterInput(task.startAfter || '');
+    setRecurrenceDraft(toRecurrenceDraft(task.recurrence));
     setModalVisible(true);
   };
 
+  // Open the task named by a todo://task/<id> link once tasks have loaded. The
+  // parameter is cleared so the editor does not reopen on the next visit.
+  const linkedTaskId = route.params && route.params.taskId;
+  useEffect(() => {
+    if (!linkedTaskId || !isInitialised) return;
+    navigation.setParams({ taskId: undefined });
+    const task = tasks.find(t => t.id === linkedTaskId);
+    if (task) {
+      setSelectedIds(null);
+      openEditModal(task);
+    } else {
+      Alert.alert('Task not found', 'The linked task may have been deleted.');
+    }
+  }, [linkedTaskId, isInitialised]);
+
+  // Carries what was typed on the quick-add line into the full form.
+  const showAllFields = () => {
+    const parsed = parseQuickAdd(quickInput, todayKey);
+    setNameInput(parsed.name);
+    setTypeInput(parsed.type);
+    setTimingInput(parsed.timing);
+    setEstimateInput(parsed.estimate ? formatDuration(parsed.estimate) : '');
+    setProjectInput(parsed.project || '');
+    setTagsInput(formatTags(parsed.tags));
+    setDueDateInput(parsed.dueDate || '');
+    setQuickMode(false);
+  };
+
+  const handleQuickSave = () => {
+    const { name, type, timing, dueDate, estimate, project, tags } = parseQuickAdd(quickInput, todayKey);
+    if (!name) {
+      Alert.alert('Please enter a task name.');
+      return;
+    }
+    addTask(name, type, timing, { dueDate, estimate, project, tags });
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    setModalVisible(false);
+  };
+
   const handleSave = () => {
+    if (quickMode) {
+      handleQuickSave();
+      return;
+    }
     const trimmed = nameInput.trim();
     if (!trimmed) {
       Alert.alert('Please enter a task name.');
       return;
     }
+    const dueDate = dueDateInput.trim() || null;
+    const startAfter = startAfterInput.trim() || null;
+    if ((dueDate && !isValidDateKey(dueDate)) || (startAfter && !isValidDateKey(startAfter))) {
+      Alert.alert('Please enter dates as YYYY-MM-DD.');
+      return;
+    }
+    if (dueDate && startAfter && startAfter > dueDate) {
+      Alert.alert('The start date must not be after the due date.');
+      return;
+    }
+    const estimate = estimateInput.trim() ? parseDuration(estimateInput) : null;
+    if (estimateInput.trim() && !estimate) {
+      Alert.alert('Please enter the estimate as minutes or hours, e.g. 45 or 1h30.');
+      return;
+    }
+    const recurrence = fromRecurrenceDraft(recurrenceDraft);
+    if (recurrence && !isValidRecurrence(recurrence)) {
+      Alert.alert('Please complete the repeat rule.');
+      return;
+    }
+    const fields = {
+      boost: boostInput,
+      estimate,
+      project: normaliseLabel(projectInput),
+      tags: parseTags(tagsInput),
+      subtasks: normaliseSubtasks(subtasksInput),
+      dueDate,
+      startAfter,
+      recurrence
+    };
     if (editingTask) {
       updateTask(editingTask.id, {
         name: trimmed,
         type: typeInput,
-        timing: timingInput
+        timing: timingInput,
+        ...fields
       });
     } else {
-      addTask(trimmed, typeInput, timingInput);
+      addTask(trimmed, typeInput, timingInput, fields);
     }
     Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
     setModalVisible(false);
@@ -83,84 +238,369 @@ const AllTasksScreen = () => {
     ]);
   };
 
-  const renderItem = ({ item }) => (
-    <View style={styles.row}>
+  const quickParsed = quickMode ? parseQuickAdd(quickInput, todayKey) : null;
+  // Existing projects, offered as shortcuts in the editor.
+  const projectSuggestions = getAllProjects(tasks).filter(
+    project => project.toLowerCase() !== projectInput.trim().toLowerCase()
+  );
+
+  const selecting = selectedIds !== null;
+  // Deleted tasks drop out of the selection.
+  const selection = selecting ? selectedIds.filter(id => tasks.some(t => t.id === id)) : [];
+  const visibleTasks = showCompleted ? [...pending, ...completed] : pending;
+  const allSelected = visibleTasks.length > 0 && visibleTasks.every(t => selection.includes(t.id));
+
+  const toggleSelection = id => {
+    setSelectedIds(selection.includes(id) ? selection.filter(s => s !== id) : [...selection, id]);
+    Haptics.selectionAsync();
+  };
+
+  const startSelection = task => {
+    setSelectedIds(task ? [task.id] : []);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+  };
+
+  const handleBatch = (operation, updates) => {
+    batchUpdate(selection, operation, updates);
+    Haptics.notificationAsync(
+      operation === 'remove' ? Haptics.NotificationFeedbackType.Warning : Haptics.NotificationFeedbackType.Success
+    );
+    setSelectedIds(null);
+  };
+
+  const renderSectionHeader = ({ section }) => {
+    if (section.key.startsWith('project:')) {
+      return (
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionHeaderText} accessibilityRole="header">
+            {section.title || 'No project'} ({section.data.length})
+          </Text>
+        </View>
+      );
+    }
+    return section.key === 'completed' ? (
       <TouchableOpacity
-        style={[styles.statusCircle, item.completed && styles.statusCompleted]}
-        onPress={() => toggleCompleted(item.id)}
+        style={styles.sectionHeader}
+        onPress={() => setCompletedExpanded(!showCompleted)}
+        accessibilityRole="button"
+        accessibilityState={{ expanded: showCompleted }}
+        accessibilityLabel={`Completed, ${completed.length} tasks`}
       >
-        {item.completed && <Text style={styles.statusCheck}>✓</Text>}
-      </TouchableOpacity>
-      <TouchableOpacity style={styles.rowInfo} onPress={() => openEditModal(item)}>
-        <Text style={[styles.name, item.completed && styles.completedText]}>{item.name}</Text>
-        <Text style={styles.details}>
-          {item.type} • {item.timing} • Weight {item.weight}
+        <Text style={styles.sectionHeaderText}>
+          {showCompleted ? '▾' : '▸'} Completed ({completed.length})
         </Text>
       </TouchableOpacity>
-      <TouchableOpacity onPress={() => handleDelete(item)} style={styles.deleteButton}>
-        <Text style={styles.deleteText}>🗑️</Text>
-      </TouchableOpacity>
-    </View>
-  );
+    ) : null;
+  };
+
+  const renderItem = ({ item }) => {
+    const isSelected = selection.includes(item.id);
+    return (
+      <View style={[styles.row, isSelected && styles.rowSelected]}>
+        {selecting ? (
+          <TouchableOpacity
+            style={[styles.selectCircle, isSelected && styles.selectCircleChecked]}
+            onPress={() => toggleSelection(item.id)}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked: isSelected }}
+            accessibilityLabel={`Select ${item.name}`}
+          >
+            {isSelected && <Text style={styles.statusCheck}>✓</Text>}
+          </TouchableOpacity>
+        ) : isDropped(item) ? (
+          <TouchableOpacity
+            style={[styles.statusCircle, styles.statusDropped]}
+            onPress={() => setTaskOutcome(item.id, null)}
+            accessibilityRole="button"
+            accessibilityLabel={`Dropped: ${item.name}`}
+            accessibilityHint="Reopens this task."
+          >
+            <Text style={styles.statusCheck}>–</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.statusCircle, item.completed && styles.statusCompleted]}
+            onPress={() => toggleCompleted(item.id)}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked: item.completed }}
+            accessibilityLabel={`Completed: ${item.name}`}
+          >
+            {item.completed && <Text style={styles.statusCheck}>✓</Text>}
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={styles.rowInfo}
+          onPress={() => (selecting ? toggleSelection(item.id) : openEditModal(item))}
+          onLongPress={() => !selecting && startSelection(item)}
+          accessibilityRole="button"
+          accessibilityLabel={
+            item.recurrence
+              ? `${describeTask(item, todayKey)}. Repeats ${describeRecurrence(item.recurrence).toLowerCase()}`
+              : describeTask(item, todayKey)
+          }
+          accessibilityHint={selecting ? 'Selects or deselects this task.' : 'Opens the task for editing.'}
+          accessibilityActions={selecting ? [] : [{ name: 'longpress', label: 'Select multiple tasks' }]}
+          onAccessibilityAction={event => event.nativeEvent.actionName === 'longpress' && startSelection(item)}
+        >
+          <Text style={[styles.name, (item.completed || isDropped(item)) && styles.completedText]}>{item.name}</Text>
+          <Text style={styles.details}>
+            {item.type} • {item.timing} • Weight {item.weight}
+            {item.estimate ? ` • ~${formatDuration(item.estimate)}` : ''}
+            {getSubtaskProgress(item) ? ` • ☑ ${formatSubtaskProgress(getSubtaskProgress(item))}` : ''}
+            {item.dueDate ? ` • Due ${item.dueDate}` : ''}
+            {item.startAfter && item.startAfter > todayKey ? ` • Starts ${item.startAfter}` : ''}
+            {item.recurrence ? ` • ↻ ${describeRecurrence(item.recurrence)}` : ''}
+          </Text>
+          {(item.project || item.tags.length > 0) && (
+            <Text style={styles.labels}>
+              {[item.project, ...item.tags.map(tag => `#${tag}`)].filter(Boolean).join('  ')}
+            </Text>
+          )}
+          {isOverdue(item, todayKey) && <Text style={styles.overdueText}>Overdue</Text>}
+          {isDropped(item) && <Text style={styles.droppedText}>Dropped {item.outcomeDate}</Text>}
+        </TouchableOpacity>
+        {!selecting && (
+          <TouchableOpacity
+            onPress={() => handleDelete(item)}
+            style={styles.deleteButton}
+            accessibilityRole="button"
+            accessibilityLabel={`Delete ${item.name}`}
+          >
+            <Text style={styles.deleteText}>🗑️</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
 
   return (
     <View style={styles.container}>
+      {selecting ? (
+        <View style={styles.toolbar}>
+          <TouchableOpacity onPress={() => setSelectedIds(null)} style={styles.toolbarButton} accessibilityRole="button">
+            <Text style={styles.toolbarButtonText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.toolbarTitle} accessibilityLiveRegion="polite">
+            {selection.length} selected
+          </Text>
+          <TouchableOpacity
+            onPress={() => setSelectedIds(allSelected ? [] : visibleTasks.map(t => t.id))}
+            accessibilityRole="button"
+            accessibilityLabel={allSelected ? 'Deselect all' : 'Select all shown tasks'}
+          >
+            <Text style={styles.toolbarButtonText}>{allSelected ? 'Select none' : 'Select all'}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={styles.toolbar}>
+          <TouchableOpacity
+            onPress={undo}
+            disabled={!canUndo}
+            style={styles.toolbarButton}
+            accessibilityRole="button"
+            accessibilityState={{ disabled: !canUndo }}
+          >
+            <Text style={[styles.toolbarButtonText, !canUndo && styles.toolbarButtonDisabled]}>Undo</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={redo}
+            disabled={!canRedo}
+            style={styles.toolbarButton}
+            accessibilityRole="button"
+            accessibilityState={{ disabled: !canRedo }}
+          >
+            <Text style={[styles.toolbarButtonText, !canRedo && styles.toolbarButtonDisabled]}>Redo</Text>
+          </TouchableOpacity>
+          <View style={{ flex: 1 }} />
+          {tasks.length > 0 && (
+            <TouchableOpacity onPress={() => startSelection(null)} style={styles.toolbarButton} accessibilityRole="button">
+              <Text style={styles.toolbarButtonText}>Select</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={() => navigation.navigate('Transfer')} accessibilityRole="button">
+            <Text style={styles.toolbarButtonText}>Import / Export</Text>
+          </TouchableOpacity>
+        </View>
+      )}
       {tasks.length === 0 ? (
         <View style={styles.emptyState}>
           <Text style={styles.emptyText}>No tasks yet.</Text>
           <Text style={styles.emptySubText}>Tap the + button below to add your first task.</Text>
         </View>
       ) : (
-        <FlatList
-          data={tasks.sort((a, b) => b.createdAt - a.createdAt)}
-          keyExtractor={item => item.id}
-          renderItem={renderItem}
-          contentContainerStyle={styles.listContent}
-        />
+        <>
+          <TaskFilterBar tasks={tasks} query={query} onChange={setQuery} />
+          {pending.length === 0 && completed.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyText}>No matching tasks.</Text>
+              <Text style={styles.emptySubText}>Try a different search or clear the filters.</Text>
+            </View>
+          ) : (
+            <SectionList
+              sections={sections}
+              keyExtractor={item => item.id}
+              renderItem={renderItem}
+              renderSectionHeader={renderSectionHeader}
+              stickySectionHeadersEnabled={false}
+              keyboardShouldPersistTaps="handled"
+              contentContainerStyle={styles.listContent}
+            />
+          )}
+        </>
+      )}
+      {selecting ? (
+        <BatchActionBar count={selection.length} onApply={handleBatch} />
+      ) : (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={openAddModal}
+          accessibilityRole="button"
+          accessibilityLabel="Add task"
+        >
+          <Text style={styles.addButtonIcon}>＋</Text>
+        </TouchableOpacity>
       )}
-      <TouchableOpacity style={styles.addButton} onPress={openAddModal}>
-        <Text style={styles.addButtonIcon}>＋</Text>
-      </TouchableOpacity>
       <Modal visible={modalVisible} transparent animationType="slide">
         <View style={styles.modalOverlay}>
           <View style={styles.modalContent}>
             <Text style={styles.modalTitle}>{editingTask ? 'Edit Task' : 'Add New Task'}</Text>
-            <TextInput
-              placeholder="Task name"
-              value={nameInput}
-              onChangeText={setNameInput}
-              style={styles.input}
-            />
-            <View style={styles.selectorContainer}>
-              {['Want', 'Need', 'Both'].map(option => (
-                <TouchableOpacity
-                  key={option}
-                  style={[styles.selectorOption, typeInput === option && styles.selectorOptionSelected]}
-                  onPress={() => setTypeInput(option)}
-                >
-                  <Text
-                    style={[styles.selectorText, typeInput === option && styles.selectorTextSelected]}
-                  >
-                    {option}
-                  </Text>
-                </TouchableOpacity>
-              ))}
-            </View>
-            <View style={styles.selectorContainer}>
-              {['Today', 'Later'].map(option => (
-                <TouchableOpacity
-                  key={option}
-                  style={[styles.selectorOption, timingInput === option && styles.selectorOptionSelected]}
-                  onPress={() => setTimingInput(option)}
-                >
-                  <Text
-                    style={[styles.selectorText, timingInput === option && styles.selectorTextSelected]}
-                  >
-                    {option}
+            <ScrollView style={styles.modalFields} keyboardShouldPersistTaps="handled">
+              {quickMode ? (
+                <>
+                  <TextInput
+                    placeholder="e.g. pay rent tomorrow !need #home 30m"
+                    placeholderTextColor={colors.muted}
+                    accessibilityLabel="New task"
+                    accessibilityHint="Words such as tomorrow, !need, #tag, @project or 30m fill in the task's details."
+                    value={quickInput}
+                    onChangeText={setQuickInput}
+                    onSubmitEditing={handleQuickSave}
+                    returnKeyType="done"
+                    autoFocus
+                    style={styles.input}
+                  />
+                  <QuickAddPreview parsed={quickParsed} />
+                  <Text style={styles.quickHint}>
+                    Add !want, !need or !both, today or later, a due day such as tomorrow, friday or
+                    2026-11-01, #tags, an @project and an estimate like 30m or 1h30.
                   </Text>
-                </TouchableOpacity>
-              ))}
-            </View>
+                  <TouchableOpacity onPress={showAllFields} accessibilityRole="button">
+                    <Text style={styles.moreOptionsText}>More options…</Text>
+                  </TouchableOpacity>
+                </>
+              ) : (
+                <>
+                  <TextInput
+                    placeholder="Task name"
+                    placeholderTextColor={colors.muted}
+                    accessibilityLabel="Task name"
+                    value={nameInput}
+                    onChangeText={setNameInput}
+                    style={styles.input}
+                  />
+                  <View style={styles.selectorContainer} accessibilityRole="radiogroup" accessibilityLabel="Type">
+                    {['Want', 'Need', 'Both'].map(option => (
+                      <TouchableOpacity
+                        key={option}
+                        style={[styles.selectorOption, typeInput === option && styles.selectorOptionSelected]}
+                        onPress={() => setTypeInput(option)}
+                        accessibilityRole="radio"
+                        accessibilityState={{ selected: typeInput === option }}
+                      >
+                        <Text
+                          style={[styles.selectorText, typeInput === option && styles.selectorTextSelected]}
+                        >
+                          {option}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <View style={styles.selectorContainer} accessibilityRole="radiogroup" accessibilityLabel="Timing">
+                    {['Today', 'Later'].map(option => (
+                      <TouchableOpacity
+                        key={option}
+                        style={[styles.selectorOption, timingInput === option && styles.selectorOptionSelected]}
+                        onPress={() => setTimingInput(option)}
+                        accessibilityRole="radio"
+                        accessibilityState={{ selected: timingInput === option }}
+                      >
+                        <Text
+                          style={[styles.selectorText, timingInput === option && styles.selectorTextSelected]}
+                        >
+                          {option}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <Text style={styles.fieldLabel}>Boost</Text>
+                  <View style={styles.selectorContainer} accessibilityRole="radiogroup" accessibilityLabel="Boost">
+                    {[0, 1, 2, 3].map(option => (
+                      <TouchableOpacity
+                        key={option}
+                        style={[styles.selectorOption, boostInput === option && styles.selectorOptionSelected]}
+                        onPress={() => setBoostInput(option)}
+                        accessibilityRole="radio"
+                        accessibilityState={{ selected: boostInput === option }}
+                      >
+                        <Text
+                          style={[styles.selectorText, boostInput === option && styles.selectorTextSelected]}
+                        >
+                          {option === 0 ? 'None' : `+${option}`}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <Text style={styles.fieldLabel}>Estimate</Text>
+                  <TextInput
+                    placeholder="e.g. 45 or 1h30 (optional)"
+                    placeholderTextColor={colors.muted}
+                    accessibilityLabel="Estimate"
+                    value={estimateInput}
+                    onChangeText={setEstimateInput}
+                    autoCapitalize="none"
+                    style={styles.input}
+                  />
+                  <Text style={styles.fieldLabel}>Project</Text>
+                  <TextInput
+                    placeholder="e.g. Work (optional)"
+                    placeholderTextColor={colors.muted}
+                    accessibilityLabel="Project"
+                    value={projectInput}
+                    onChangeText={setProjectInput}
+                    style={styles.input}
+                  />
+                  {projectSuggestions.length > 0 && (
+                    <View style={styles.suggestionRow}>
+                      {projectSuggestions.map(project => (
+                        <TouchableOpacity
+                          key={project}
+                          style={styles.suggestion}
+                          onPress={() => setProjectInput(project)}
+                          accessibilityRole="button"
+                          accessibilityLabel={`Project: ${project}`}
+                        >
+                          <Text style={styles.suggestionText}>{project}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
+                  <Text style={styles.fieldLabel}>Tags</Text>
+                  <TextInput
+                    placeholder="Comma separated, e.g. calls, errand"
+                    placeholderTextColor={colors.muted}
+                    accessibilityLabel="Tags"
+                    value={tagsInput}
+                    onChangeText={setTagsInput}
+                    autoCapitalize="none"
+                    style={styles.input}
+                  />
+                  <SubtaskEditor value={subtasksInput} onChange={setSubtasksInput} />
+                  <DateField label="Due date" value={dueDateInput} onChange={setDueDateInput} />
+                  <DateField label="Start after" value={startAfterInput} onChange={setStartAfterInput} />
+                  <RecurrenceField value={recurrenceDraft} onChange={setRecurrenceDraft} />
+                </>
+              )}
+            </ScrollView>
             <View style={styles.modalActions}>
               {editingTask && (
                 <TouchableOpacity
@@ -178,7 +618,7 @@ const AllTasksScreen = () => {
                 <Text style={styles.modalButtonText}>Cancel</Text>
               </TouchableOpacity>
               <TouchableOpacity onPress={handleSave} style={[styles.modalButton, styles.saveAction]}>
-                <Text style={[styles.modalButtonText, { color: 'white' }]}>Save</Text>
+                <Text style={[styles.modalButtonText, styles.saveActionText]}>Save</Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -188,166 +628,281 @@ const AllTasksScreen = () => {
   );
 };
 
-const styles = StyleSheet.create({
-  container: {
-    flex: 1,
-    backgroundColor: '#FFFFFF'
-  },
-  listContent: {
-    paddingBottom: 80
-  },
-  row: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    paddingHorizontal: 16,
-    paddingVertical: 12,
-    borderBottomWidth: StyleSheet.hairlineWidth,
-    borderBottomColor: '#EEE'
-  },
-  statusCircle: {
-    width: 24,
-    height: 24,
-    borderRadius: 12,
-    borderWidth: 2,
-    borderColor: '#C7C7CC',
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginRight: 12
-  },
-  statusCompleted: {
-    backgroundColor: '#34C759',
-    borderColor: '#34C759'
-  },
-  statusCheck: {
-    color: 'white',
-    fontSize: 14
-  },
-  rowInfo: {
-    flex: 1
-  },
-  name: {
-    fontSize: 16,
-    fontWeight: '500',
-    color: '#333'
-  },
-  details: {
-    fontSize: 12,
-    color: '#8e8e93'
-  },
-  completedText: {
-    textDecorationLine: 'line-through',
-    color: '#8e8e93'
-  },
-  deleteButton: {
-    paddingLeft: 12
-  },
-  deleteText: {
-    fontSize: 18
-  },
-  addButton: {
-    position: 'absolute',
-    right: 20,
-    bottom: 20,
-    width: 56,
-    height: 56,
-    borderRadius: 28,
-    backgroundColor: '#007AFF',
-    justifyContent: 'center',
-    alignItems: 'center',
-    shadowColor: '#000',
-    shadowOpacity: 0.25,
-    shadowRadius: 4,
-    shadowOffset: { width: 0, height: 2 },
-    elevation: 5
-  },
-  addButtonIcon: {
-    color: 'white',
-    fontSize: 32,
-    lineHeight: 32
-  },
-  emptyState: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-    paddingHorizontal: 24
-  },
-  emptyText: {
-    fontSize: 18,
-    fontWeight: '600',
-    marginBottom: 8
-  },
-  emptySubText: {
-    fontSize: 14,
-    color: '#666',
-    textAlign: 'center'
-  },
-  modalOverlay: {
-    flex: 1,
-    backgroundColor: 'rgba(0,0,0,0.3)',
-    justifyContent: 'center',
-    paddingHorizontal: 20
-  },
-  modalContent: {
-    backgroundColor: 'white',
-    borderRadius: 12,
-    padding: 20
-  },
-  modalTitle: {
-    fontSize: 18,
-    fontWeight: '600',
-    marginBottom: 12
-  },
-  input: {
-    borderWidth: 1,
-    borderColor: '#CCC',
-    borderRadius: 6,
-    paddingHorizontal: 12,
-    paddingVertical: 8,
-    marginBottom: 12
-  },
-  selectorContainer: {
-    flexDirection: 'row',
-    marginBottom: 12
-  },
-  selectorOption: {
-    flex: 1,
-    borderWidth: 1,
-    borderColor: '#CCC',
-    borderRadius: 6,
-    paddingVertical: 8,
-    alignItems: 'center',
-    marginRight: 8
-  },
-  selectorOptionSelected: {
-    backgroundColor: '#007AFF',
-    borderColor: '#007AFF'
-  },
-  selectorText: {
-    color: '#333'
-  },
-  selectorTextSelected: {
-    color: 'white'
-  },
-  modalActions: {
-    flexDirection: 'row',
-    justifyContent: 'flex-end',
-    alignItems: 'center'
-  },
-  modalButton: {
-    paddingVertical: 10,
-    paddingHorizontal: 16
-  },
-  modalButtonText: {
-    fontSize: 16,
-    color: '#007AFF'
-  },
-  deleteAction: {
-    marginRight: 8
-  },
-  saveAction: {
-    backgroundColor: '#007AFF',
-    borderRadius: 6
-  }
-});
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background
+    },
+    toolbar: {
+      flexDirection: 'row',
+      paddingHorizontal: 16,
+      paddingTop: 48,
+      paddingBottom: 8,
+      borderBottomWidth: StyleSheet.hairlineWidth,
+      borderBottomColor: colors.separator
+    },
+    toolbarButton: {
+      marginRight: 16
+    },
+    toolbarButtonText: {
+      fontSize: 16,
+      color: colors.primary
+    },
+    toolbarButtonDisabled: {
+      color: colors.disabled
+    },
+    toolbarTitle: {
+      flex: 1,
+      fontSize: 16,
+      fontWeight: '600',
+      color: colors.text,
+      textAlign: 'center'
+    },
+    listContent: {
+      paddingBottom: 80
+    },
+    sectionHeader: {
+      paddingHorizontal: 16,
+      paddingTop: 16,
+      paddingBottom: 8,
+      borderBottomWidth: StyleSheet.hairlineWidth,
+      borderBottomColor: colors.separator
+    },
+    sectionHeaderText: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.muted,
+      textTransform: 'uppercase'
+    },
+    row: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingVertical: 12,
+      borderBottomWidth: StyleSheet.hairlineWidth,
+      borderBottomColor: colors.separator
+    },
+    statusCircle: {
+      width: 24,
+      height: 24,
+      borderRadius: 12,
+      borderWidth: 2,
+      borderColor: colors.disabled,
+      justifyContent: 'center',
+      alignItems: 'center',
+      marginRight: 12
+    },
+    rowSelected: {
+      backgroundColor: colors.fill
+    },
+    selectCircle: {
+      width: 24,
+      height: 24,
+      borderRadius: 12,
+      borderWidth: 2,
+      borderColor: colors.primary,
+      justifyContent: 'center',
+      alignItems: 'center',
+      marginRight: 12
+    },
+    selectCircleChecked: {
+      backgroundColor: colors.primary
+    },
+    statusCompleted: {
+      backgroundColor: colors.success,
+      borderColor: colors.success
+    },
+    statusDropped: {
+      backgroundColor: colors.muted,
+      borderColor: colors.muted
+    },
+    statusCheck: {
+      color: colors.onPrimary,
+      fontSize: 14
+    },
+    rowInfo: {
+      flex: 1
+    },
+    name: {
+      fontSize: 16,
+      fontWeight: '500',
+      color: colors.text
+    },
+    details: {
+      fontSize: 12,
+      color: colors.muted
+    },
+    labels: {
+      fontSize: 12,
+      color: colors.primary
+    },
+    quickHint: {
+      fontSize: 13,
+      color: colors.muted,
+      marginBottom: 12
+    },
+    moreOptionsText: {
+      fontSize: 16,
+      color: colors.primary,
+      marginBottom: 12
+    },
+    suggestionRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginTop: -6,
+      marginBottom: 12
+    },
+    suggestion: {
+      paddingVertical: 4,
+      paddingHorizontal: 8,
+      marginRight: 6,
+      marginTop: 6,
+      borderRadius: 12,
+      backgroundColor: colors.fill
+    },
+    suggestionText: {
+      fontSize: 12,
+      color: colors.primary
+    },
+    overdueText: {
+      fontSize: 12,
+      fontWeight: '600',
+      color: colors.danger
+    },
+    droppedText: {
+      fontSize: 12,
+      color: colors.muted
+    },
+    completedText: {
+      textDecorationLine: 'line-through',
+      color: colors.muted
+    },
+    deleteButton: {
+      paddingLeft: 12
+    },
+    deleteText: {
+      fontSize: 18
+    },
+    addButton: {
+      position: 'absolute',
+      right: 20,
+      bottom: 20,
+      width: 56,
+      height: 56,
+      borderRadius: 28,
+      backgroundColor: colors.primary,
+      justifyContent: 'center',
+      alignItems: 'center',
+      shadowColor: colors.shadow,
+      shadowOpacity: 0.25,
+      shadowRadius: 4,
+      shadowOffset: { width: 0, height: 2 },
+      elevation: 5
+    },
+    addButtonIcon: {
+      color: colors.onPrimary,
+      fontSize: 32,
+      lineHeight: 32
+    },
+    emptyState: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+      paddingHorizontal: 24
+    },
+    emptyText: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 8
+    },
+    emptySubText: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      textAlign: 'center'
+    },
+    modalOverlay: {
+      flex: 1,
+      backgroundColor: colors.overlay,
+      justifyContent: 'center',
+      paddingHorizontal: 20
+    },
+    modalContent: {
+      maxHeight: '85%',
+      backgroundColor: colors.surface,
+      borderRadius: 12,
+      padding: 20
+    },
+    modalFields: {
+      flexGrow: 0
+    },
+    modalTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12
+    },
+    input: {
+      borderWidth: 1,
+      borderColor: colors.border,
+      color: colors.text,
+      borderRadius: 6,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      marginBottom: 12
+    },
+    fieldLabel: {
+      fontSize: 13,
+      color: colors.muted,
+      marginBottom: 6
+    },
+    selectorContainer: {
+      flexDirection: 'row',
+      marginBottom: 12
+    },
+    selectorOption: {
+      flex: 1,
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 6,
+      paddingVertical: 8,
+      alignItems: 'center',
+      marginRight: 8
+    },
+    selectorOptionSelected: {
+      backgroundColor: colors.primary,
+      borderColor: colors.primary
+    },
+    selectorText: {
+      color: colors.text
+    },
+    selectorTextSelected: {
+      color: colors.onPrimary
+    },
+    modalActions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      alignItems: 'center'
+    },
+    modalButton: {
+      paddingVertical: 10,
+      paddingHorizontal: 16
+    },
+    modalButtonText: {
+      fontSize: 16,
+      color: colors.primary
+    },
+    deleteAction: {
+      marginRight: 8
+    },
+    saveAction: {
+      backgroundColor: colors.primary,
+      borderRadius: 6
+    },
+    saveActionText: {
+      color: colors.onPrimary
+    }
+  });
 
 export default AllTasksScreen;
\ No newline at end of file
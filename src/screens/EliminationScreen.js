@@ -1,7 +1,18 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, Dimensions, TouchableOpacity } from 'react-native';
+import React, { useEffect } from 'react';
+import { View, Text, StyleSheet, Dimensions, TouchableOpacity, Alert, AccessibilityInfo } from 'react-native';
 import { useTasks } from '../context/TasksContext';
-import { useNavigation } from '@react-navigation/native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { isStaleTask } from '../utils/deferrals';
+import { getEffectiveTiming, isOverdue } from '../utils/schedule';
+import { exceedsCapacity, formatDuration } from '../utils/estimates';
+import { describeDuration, describeTask } from '../utils/accessibility';
+import ComparisonRound from '../components/ComparisonRound';
+import SessionReview from '../components/SessionReview';
+import LabelFilterChips from '../components/LabelFilterChips';
+import { EMPTY_LABEL_FILTER } from '../utils/tags';
+import { formatSubtaskProgress, getSubtaskProgress } from '../utils/subtasks';
+import { isOpenTask } from '../utils/outcomes';
+import { useNavigation, useRoute } from '@react-navigation/native';
 import { PanGestureHandler } from 'react-native-gesture-handler';
 import Animated, {
   useSharedValue,
@@ -18,28 +29,41 @@ const SWIPE_THRESHOLD = SCREEN_WIDTH * 0.25;
 
 /**
  * The elimination screen presents tasks as swipeable cards. Users swipe right to
- * select a task for today or left to defer it. The process continues until all
- * candidate tasks have been swiped or the list ends. Upon completion the
- * selection flags are saved and the screen closes.
+ * select a task for today or left to defer it, or compare them two at a time.
+ * Decisions are kept in a resumable session and only applied once the closing
+ * review is confirmed.
  */
 const EliminationScreen = () => {
+  const styles = useThemedStyles(createStyles);
   const navigation = useNavigation();
+  const route = useRoute();
   const {
-    getEliminationCandidates,
-    setTodaySelected,
-    updateLastActiveDate
+    tasks,
+    settings,
+    eliminationSession,
+    sessionProgress,
+    startEliminationSession,
+    decideInSession,
+    undoSessionDecision,
+    commitEliminationSession,
+    setTaskOutcome,
+    getTodayKey,
+    plannedMinutes,
+    updateSettings,
+    isInitialised
   } = useTasks();
-  const [candidates, setCandidates] = useState([]);
-  const [currentIndex, setCurrentIndex] = useState(0);
+  const { candidates, pending, accepted, deferred } = sessionProgress;
 
   const translateX = useSharedValue(0);
 
+  // Resume today's session if there is one, otherwise start a new one once
+  // tasks have loaded; a link or reminder can open the screen before that.
+  // The candidates are fixed for the whole session.
   useEffect(() => {
-    // Prepare candidate list on mount.
-    const cands = getEliminationCandidates();
-    setCandidates(cands);
-    setCurrentIndex(0);
-  }, [getEliminationCandidates]);
+    if (isInitialised && !eliminationSession) {
+      startEliminationSession(!!(route.params && route.params.replaceSelections));
+    }
+  }, [isInitialised]);
 
   // Gesture handler for swiping the card.
   const gestureHandler = useAnimatedGestureHandler({
@@ -79,118 +103,418 @@ const EliminationScreen = () => {
   });
 
   const handleSwipe = direction => {
-    if (!candidates[currentIndex]) return;
-    const task = candidates[currentIndex];
+    const task = pending[0];
+    if (!task) return;
     const accepted = direction === 'right';
-    setTodaySelected(task.id, accepted);
+    if (accepted && exceedsCapacity(plannedMinutes, task, settings.dailyCapacity)) {
+      confirmOverCapacity(task);
+      return;
+    }
+    decide(task, accepted);
+  };
+
+  // Records the decision in the session and brings in the next card.
+  const decide = (task, accepted) => {
+    decideInSession(task.id, accepted);
     if (accepted) {
       Haptics.selectionAsync();
     }
-    const nextIndex = currentIndex + 1;
-    setCurrentIndex(nextIndex);
     translateX.value = 0;
-    // If done, update last active date and leave screen.
-    if (nextIndex >= candidates.length) {
-      updateLastActiveDate();
-      navigation.goBack();
-    }
+    AccessibilityInfo.announceForAccessibility(`${accepted ? 'Taken on' : 'Deferred'}: ${task.name}`);
+  };
+
+  const handleAccessibilityAction = event => {
+    if (event.nativeEvent.actionName === 'accept') handleSwipe('right');
+    if (event.nativeEvent.actionName === 'defer') handleSwipe('left');
+    if (event.nativeEvent.actionName === 'drop') handleDrop(pending[0]);
+  };
+
+  const confirmOverCapacity = task => {
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
+    Alert.alert(
+      'Over capacity',
+      `"${task.name}" needs about ${formatDuration(task.estimate)}, which takes today past ${formatDuration(
+        settings.dailyCapacity
+      )}.`,
+      [
+        {
+          text: 'Back',
+          style: 'cancel',
+          onPress: () => {
+            translateX.value = withSpring(0);
+          }
+        },
+        { text: 'Defer it', onPress: () => decide(task, false) },
+        { text: 'Take it anyway', onPress: () => decide(task, true) }
+      ],
+      { cancelable: false }
+    );
   };
 
-  const currentTask = candidates[currentIndex];
+  const handleUndoSwipe = () => {
+    undoSessionDecision();
+    translateX.value = 0;
+    Haptics.selectionAsync();
+  };
+
+  // Defers every card still to come and moves on to the review.
+  const deferRemaining = () => {
+    pending.forEach(task => decideInSession(task.id, false));
+  };
+
+  // Takes on the top of the head-to-head ranking and defers the rest.
+  const handleComparisonFinish = (ranked, takeCount) => {
+    ranked.forEach((task, index) => decideInSession(task.id, index < takeCount));
+  };
+
+  // Applies every decision and marks today as handled.
+  const handleConfirm = () => {
+    commitEliminationSession();
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    navigation.goBack();
+  };
+
+  const handleDrop = task => {
+    Alert.alert('Drop task', `You've skipped "${task.name}" ${task.deferCount} times — drop it?`, [
+      { text: 'Keep', style: 'cancel' },
+      {
+        text: 'Drop',
+        style: 'destructive',
+        onPress: () => {
+          setTaskOutcome(task.id, 'dropped');
+          Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
+          translateX.value = 0;
+        }
+      }
+    ]);
+  };
+
+  const currentTask = pending[0];
+  const currentIsStale = currentTask && isStaleTask(currentTask, settings.staleThreshold);
+  const todayKey = getTodayKey();
+  const cardLabel =
+    currentTask &&
+    (currentIsStale ? `Skipped ${currentTask.deferCount} times. ` : '') + describeTask(currentTask, todayKey);
+  const cardActions = [
+    { name: 'accept', label: 'Take on today' },
+    { name: 'defer', label: 'Defer' },
+    ...(currentIsStale ? [{ name: 'drop', label: 'Drop task' }] : [])
+  ];
+  const capacity = settings.dailyCapacity;
+  const isFull = capacity > 0 && plannedMinutes >= capacity;
+  const isComparing = settings.eliminationMode === 'compare';
+
+  // Nothing to show until the session has been started.
+  if (!eliminationSession) return <View style={styles.container} />;
+
+  // The scope can change until the first decision; changing it starts over.
+  const scopeChips = eliminationSession.decisions.length === 0 && (
+    <LabelFilterChips
+      tasks={tasks.filter(isOpenTask)}
+      filter={eliminationSession.filter || EMPTY_LABEL_FILTER}
+      onChange={filter => startEliminationSession(eliminationSession.replaceSelections, filter)}
+      style={styles.scope}
+    />
+  );
+
+  if (!currentTask) {
+    return (
+      <View style={styles.container}>
+        {scopeChips}
+        <SessionReview
+          accepted={accepted}
+          deferred={deferred}
+          plannedMinutes={plannedMinutes}
+          capacity={capacity}
+          onToggle={(task, isAccepted) => decideInSession(task.id, isAccepted)}
+          onUndo={handleUndoSwipe}
+          onConfirm={handleConfirm}
+        />
+      </View>
+    );
+  }
 
   return (
     <View style={styles.container}>
-      <View style={styles.instructions}>
-        <Text style={styles.title}>Pick your top tasks</Text>
-        <Text style={styles.subtitle}>Swipe right to take on today, left to defer</Text>
-      </View>
-      {currentTask ? (
-        <PanGestureHandler onGestureEvent={gestureHandler}>
-          <Animated.View style={[styles.card, animatedCardStyle]}>
-            <Text style={styles.cardName}>{currentTask.name}</Text>
-            <Text style={styles.cardDetails}>
-              {currentTask.type} • {currentTask.timing} • Weight {currentTask.weight}
-            </Text>
-          </Animated.View>
-        </PanGestureHandler>
-      ) : (
-        <View style={styles.doneContainer}>
-          <Text style={styles.doneText}>All done!</Text>
+      {scopeChips}
+      <View style={styles.modeSelector} accessibilityRole="radiogroup" accessibilityLabel="Elimination mode">
+        {[
+          ['swipe', 'Swipe'],
+          ['compare', 'This or that']
+        ].map(([mode, label]) => (
           <TouchableOpacity
-            style={styles.doneButton}
-            onPress={() => {
-              updateLastActiveDate();
-              navigation.goBack();
-            }}
+            key={mode}
+            style={[styles.modeOption, settings.eliminationMode === mode && styles.modeOptionSelected]}
+            onPress={() => updateSettings({ eliminationMode: mode })}
+            accessibilityRole="radio"
+            accessibilityState={{ selected: settings.eliminationMode === mode }}
           >
-            <Text style={styles.doneButtonText}>Return</Text>
+            <Text style={[styles.modeText, settings.eliminationMode === mode && styles.modeTextSelected]}>
+              {label}
+            </Text>
           </TouchableOpacity>
-        </View>
+        ))}
+      </View>
+      {isComparing && pending.length > 1 ? (
+        <ComparisonRound candidates={pending} onFinish={handleComparisonFinish} />
+      ) : (
+        <>
+          <View style={styles.instructions}>
+            <Text style={styles.title}>Pick your top tasks</Text>
+            <Text style={styles.subtitle}>Swipe right to take on today, left to defer</Text>
+            <Text style={styles.progress}>
+              {candidates.length - pending.length + 1} of {candidates.length}
+            </Text>
+            {capacity > 0 && (
+              <Text
+                style={[styles.budget, isFull && styles.budgetFull]}
+                accessibilityLabel={`Planned ${describeDuration(plannedMinutes)} of ${describeDuration(capacity)}`}
+              >
+                Planned: {formatDuration(plannedMinutes)} / {formatDuration(capacity)}
+              </Text>
+            )}
+            {isFull && (
+              <TouchableOpacity
+                style={styles.finishButton}
+                onPress={deferRemaining}
+                accessibilityRole="button"
+                accessibilityHint="Defers the remaining tasks and shows the review."
+              >
+                <Text style={styles.finishButtonText}>Your day is full — finish now</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <PanGestureHandler onGestureEvent={gestureHandler}>
+            <Animated.View
+              style={[styles.card, currentIsStale && styles.cardStale, animatedCardStyle]}
+              accessible
+              accessibilityLabel={cardLabel}
+              accessibilityHint="Use the actions to take this task on today or defer it."
+              accessibilityActions={cardActions}
+              onAccessibilityAction={handleAccessibilityAction}
+            >
+              {currentIsStale && <Text style={styles.staleBadge}>Skipped {currentTask.deferCount} times</Text>}
+              <Text style={styles.cardName}>{currentTask.name}</Text>
+              <Text style={styles.cardDetails}>
+                {currentTask.type} • {getEffectiveTiming(currentTask, todayKey)} • Weight {currentTask.weight}
+                {currentTask.dueDate ? ` • Due ${currentTask.dueDate}` : ''}
+                {currentTask.estimate ? ` • ~${formatDuration(currentTask.estimate)}` : ''}
+                {getSubtaskProgress(currentTask)
+                  ? ` • ☑ ${formatSubtaskProgress(getSubtaskProgress(currentTask))}`
+                  : ''}
+              </Text>
+              {(currentTask.project || currentTask.tags.length > 0) && (
+                <Text style={styles.cardLabels}>
+                  {[currentTask.project, ...currentTask.tags.map(tag => `#${tag}`)].filter(Boolean).join('  ')}
+                </Text>
+              )}
+              {isOverdue(currentTask, todayKey) && <Text style={styles.overdueText}>Overdue</Text>}
+              {currentIsStale && (
+                <TouchableOpacity style={styles.dropButton} onPress={() => handleDrop(currentTask)}>
+                  <Text style={styles.dropButtonText}>Drop it</Text>
+                </TouchableOpacity>
+              )}
+            </Animated.View>
+          </PanGestureHandler>
+          <View style={styles.decisionButtons}>
+            <TouchableOpacity
+              style={[styles.decisionButton, styles.deferButton]}
+              onPress={() => handleSwipe('left')}
+              accessibilityRole="button"
+              accessibilityLabel={`Defer ${currentTask.name}`}
+            >
+              <Text style={[styles.decisionButtonText, styles.deferButtonText]}>Defer</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.decisionButton, styles.acceptButton]}
+              onPress={() => handleSwipe('right')}
+              accessibilityRole="button"
+              accessibilityLabel={`Take on ${currentTask.name} today`}
+            >
+              <Text style={[styles.decisionButtonText, styles.acceptButtonText]}>Take on today</Text>
+            </TouchableOpacity>
+          </View>
+          {eliminationSession.decisions.length > 0 && (
+            <TouchableOpacity
+              style={styles.undoButton}
+              onPress={handleUndoSwipe}
+              accessibilityRole="button"
+              accessibilityLabel="Undo last swipe"
+            >
+              <Text style={styles.undoButtonText}>↶ Undo last swipe</Text>
+            </TouchableOpacity>
+          )}
+        </>
       )}
     </View>
   );
 };
 
-const styles = StyleSheet.create({
-  container: {
-    flex: 1,
-    backgroundColor: '#F5F5F5',
-    alignItems: 'center',
-    paddingTop: 60
-  },
-  instructions: {
-    alignItems: 'center',
-    marginBottom: 40
-  },
-  title: {
-    fontSize: 22,
-    fontWeight: '600',
-    marginBottom: 4
-  },
-  subtitle: {
-    fontSize: 14,
-    color: '#666'
-  },
-  card: {
-    width: SCREEN_WIDTH * 0.9,
-    padding: 24,
-    borderRadius: 12,
-    backgroundColor: 'white',
-    shadowColor: '#000',
-    shadowOpacity: 0.15,
-    shadowRadius: 6,
-    shadowOffset: { width: 0, height: 4 },
-    elevation: 5
-  },
-  cardName: {
-    fontSize: 20,
-    fontWeight: '600',
-    marginBottom: 8,
-    color: '#333'
-  },
-  cardDetails: {
-    fontSize: 14,
-    color: '#8e8e93'
-  },
-  doneContainer: {
-    alignItems: 'center'
-  },
-  doneText: {
-    fontSize: 20,
-    fontWeight: '600',
-    marginBottom: 20
-  },
-  doneButton: {
-    backgroundColor: '#007AFF',
-    paddingVertical: 12,
-    paddingHorizontal: 24,
-    borderRadius: 8
-  },
-  doneButtonText: {
-    color: 'white',
-    fontSize: 16,
-    fontWeight: '500'
-  }
-});
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.backgroundGrouped,
+      alignItems: 'center',
+      paddingTop: 60
+    },
+    scope: {
+      flexGrow: 0,
+      width: '100%',
+      marginBottom: 12
+    },
+    modeSelector: {
+      flexDirection: 'row',
+      marginBottom: 24
+    },
+    modeOption: {
+      borderWidth: 1,
+      borderColor: colors.primary,
+      paddingVertical: 6,
+      paddingHorizontal: 16
+    },
+    modeOptionSelected: {
+      backgroundColor: colors.primary
+    },
+    modeText: {
+      fontSize: 14,
+      color: colors.primary
+    },
+    modeTextSelected: {
+      color: colors.onPrimary
+    },
+    instructions: {
+      alignItems: 'center',
+      marginBottom: 40
+    },
+    title: {
+      fontSize: 22,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 4
+    },
+    subtitle: {
+      fontSize: 14,
+      color: colors.textSecondary
+    },
+    budget: {
+      marginTop: 8,
+      fontSize: 14,
+      fontWeight: '500',
+      color: colors.text
+    },
+    budgetFull: {
+      color: colors.warning
+    },
+    finishButton: {
+      marginTop: 8,
+      paddingVertical: 6,
+      paddingHorizontal: 12
+    },
+    finishButtonText: {
+      fontSize: 14,
+      color: colors.primary
+    },
+    card: {
+      width: SCREEN_WIDTH * 0.9,
+      padding: 24,
+      borderRadius: 12,
+      backgroundColor: colors.surface,
+      shadowColor: colors.shadow,
+      shadowOpacity: 0.15,
+      shadowRadius: 6,
+      shadowOffset: { width: 0, height: 4 },
+      elevation: 5
+    },
+    cardStale: {
+      borderWidth: 2,
+      borderColor: colors.warning
+    },
+    staleBadge: {
+      alignSelf: 'flex-start',
+      fontSize: 12,
+      fontWeight: '600',
+      color: colors.warning,
+      marginBottom: 8
+    },
+    cardName: {
+      fontSize: 20,
+      fontWeight: '600',
+      marginBottom: 8,
+      color: colors.text
+    },
+    cardDetails: {
+      fontSize: 14,
+      color: colors.muted
+    },
+    cardLabels: {
+      marginTop: 6,
+      fontSize: 13,
+      color: colors.primary
+    },
+    dropButton: {
+      alignSelf: 'flex-start',
+      marginTop: 16,
+      paddingVertical: 8,
+      paddingHorizontal: 16,
+      borderRadius: 6,
+      borderWidth: 1,
+      borderColor: colors.danger
+    },
+    dropButtonText: {
+      color: colors.danger,
+      fontSize: 14,
+      fontWeight: '500'
+    },
+    overdueText: {
+      marginTop: 4,
+      fontSize: 12,
+      fontWeight: '600',
+      color: colors.danger
+    },
+    progress: {
+      marginTop: 4,
+      fontSize: 12,
+      color: colors.muted
+    },
+    decisionButtons: {
+      flexDirection: 'row',
+      marginTop: 24
+    },
+    decisionButton: {
+      paddingVertical: 12,
+      paddingHorizontal: 20,
+      borderRadius: 8,
+      borderWidth: 1,
+      marginHorizontal: 8
+    },
+    deferButton: {
+      borderColor: colors.muted
+    },
+    acceptButton: {
+      borderColor: colors.success,
+      backgroundColor: colors.success
+    },
+    decisionButtonText: {
+      fontSize: 16,
+      fontWeight: '500',
+      color: colors.text
+    },
+    deferButtonText: {
+      color: colors.text
+    },
+    acceptButtonText: {
+      color: colors.onPrimary
+    },
+    undoButton: {
+      marginTop: 16,
+      paddingVertical: 8,
+      paddingHorizontal: 16
+    },
+    undoButtonText: {
+      fontSize: 16,
+      color: colors.primary
+    }
+  });
 
 export default EliminationScreen;
\ No newline at end of file
@@ -0,0 +1,404 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, ScrollView, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { useTasks } from '../context/TasksContext';
+import { useThemedStyles } from '../context/ThemeContext';
+import { MAX_DAY_START_HOUR } from '../utils/dates';
+import { APPEARANCES } from '../theme/themes';
+import { SUBTASK_COMPLETION_MODES } from '../utils/subtasks';
+import { parseTime } from '../utils/reminders';
+import { ROLLOVER_POLICIES } from '../utils/rollover';
+
+const APPEARANCE_LABELS = { system: 'System', light: 'Light', dark: 'Dark' };
+const SUBTASK_COMPLETION_LABELS = { prompt: 'Ask first', auto: 'Complete the task' };
+const ROLLOVER_OPTIONS = {
+  all: { label: 'Keep all unfinished', hint: 'Tasks stay on today’s list as they are' },
+  essential: { label: 'Only Need and Both', hint: 'Want tasks go back to All Tasks' },
+  bump: { label: 'Keep and boost', hint: 'Tasks stay and rank one boost level higher each day until picked again' },
+  deck: { label: 'Back to the deck', hint: 'Tasks lead the next elimination round and must be chosen again' }
+};
+
+/**
+ * A single numeric setting. The text is kept locally while the user types and
+ * committed when editing ends, so partially typed values such as "1." do not
+ * trigger a rescore of every task.
+ */
+const NumberSetting = ({ label, hint, value, onCommit }) => {
+  const styles = useThemedStyles(createStyles);
+  const [text, setText] = useState(String(value));
+
+  useEffect(() => {
+    setText(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const parsed = parseFloat(text.replace(',', '.'));
+    if (Number.isNaN(parsed) || parsed < 0) {
+      setText(String(value));
+      return;
+    }
+    onCommit(parsed);
+  };
+
+  return (
+    <View style={styles.settingRow}>
+      <View style={styles.settingLabelContainer}>
+        <Text style={styles.settingLabel}>{label}</Text>
+        {hint ? <Text style={styles.settingHint}>{hint}</Text> : null}
+      </View>
+      <TextInput
+        value={text}
+        onChangeText={setText}
+        onEndEditing={commit}
+        keyboardType="decimal-pad"
+        style={styles.settingInput}
+      />
+    </View>
+  );
+};
+
+/**
+ * A time of day setting, such as when a reminder goes off. Like NumberSetting
+ * it is committed when editing ends; clearing the field turns it off (null).
+ */
+const TimeSetting = ({ label, hint, value, onCommit }) => {
+  const styles = useThemedStyles(createStyles);
+  const [text, setText] = useState(value || '');
+
+  useEffect(() => {
+    setText(value || '');
+  }, [value]);
+
+  const commit = () => {
+    if (!text.trim()) {
+      onCommit(null);
+      return;
+    }
+    const parsed = parseTime(text);
+    if (!parsed) {
+      setText(value || '');
+      return;
+    }
+    setText(parsed);
+    onCommit(parsed);
+  };
+
+  return (
+    <View style={styles.settingRow}>
+      <View style={styles.settingLabelContainer}>
+        <Text style={styles.settingLabel}>{label}</Text>
+        {hint ? <Text style={styles.settingHint}>{hint}</Text> : null}
+      </View>
+      <TextInput
+        value={text}
+        onChangeText={setText}
+        onEndEditing={commit}
+        placeholder="Off"
+        accessibilityLabel={label}
+        keyboardType="numbers-and-punctuation"
+        style={styles.settingInput}
+      />
+    </View>
+  );
+};
+
+/**
+ * The SettingsScreen lets users pick the colour theme and tune the priority
+ * scoring engine, the elimination flow, checklists, when a new day begins and
+ * which reminders are sent. Changing any weight rescores
+ * every task straight away.
+ */
+const SettingsScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { settings, updateSettings, updateScoringConfig, resetScoringConfig, enableReminders } = useTasks();
+  const { scoring, reminders } = settings;
+
+  const handleRemindersChange = async enabled => {
+    if (!enabled) {
+      updateSettings({ reminders: { ...reminders, enabled: false } });
+      return;
+    }
+    let granted;
+    try {
+      granted = await enableReminders();
+    } catch (err) {
+      // Reminders stay off, as they are only turned on once permission is granted.
+      console.error('Error enabling reminders', err);
+      Alert.alert('Reminders could not be turned on', err.message);
+      return;
+    }
+    if (!granted) {
+      Alert.alert('Notifications are off', 'Allow notifications for this app in the system settings to get reminders.');
+    }
+  };
+
+  const updateReminderTime = (key, time) => updateSettings({ reminders: { ...reminders, [key]: time } });
+
+  const handleReset = () => {
+    Alert.alert('Reset weights', 'Restore the default scoring weights?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Reset', style: 'destructive', onPress: resetScoringConfig }
+    ]);
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.sectionTitle}>Appearance</Text>
+      <View style={styles.selectorContainer} accessibilityRole="radiogroup" accessibilityLabel="Appearance">
+        {APPEARANCES.map(appearance => (
+          <TouchableOpacity
+            key={appearance}
+            style={[styles.selectorOption, settings.appearance === appearance && styles.selectorOptionSelected]}
+            onPress={() => updateSettings({ appearance })}
+            accessibilityRole="radio"
+            accessibilityState={{ selected: settings.appearance === appearance }}
+          >
+            <Text style={[styles.selectorText, settings.appearance === appearance && styles.selectorTextSelected]}>
+              {APPEARANCE_LABELS[appearance]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.sectionTitle}>Type weights</Text>
+      {['Want', 'Need', 'Both'].map(type => (
+        <NumberSetting
+          key={type}
+          label={type}
+          value={scoring.typeWeights[type]}
+          onCommit={v => updateScoringConfig({ typeWeights: { ...scoring.typeWeights, [type]: v } })}
+        />
+      ))}
+      <Text style={styles.sectionTitle}>Timing weights</Text>
+      {['Today', 'Later'].map(timing => (
+        <NumberSetting
+          key={timing}
+          label={timing}
+          value={scoring.timingWeights[timing]}
+          onCommit={v => updateScoringConfig({ timingWeights: { ...scoring.timingWeights, [timing]: v } })}
+        />
+      ))}
+      <Text style={styles.sectionTitle}>Additional signals</Text>
+      <NumberSetting
+        label="Age"
+        hint="Points per week since the task was created"
+        value={scoring.agePerWeek}
+        onCommit={v => updateScoringConfig({ agePerWeek: v })}
+      />
+      <NumberSetting
+        label="Age cap"
+        hint="Maximum points from age"
+        value={scoring.ageCap}
+        onCommit={v => updateScoringConfig({ ageCap: v })}
+      />
+      <NumberSetting
+        label="Deferrals"
+        hint="Points per time the task was deferred"
+        value={scoring.deferralWeight}
+        onCommit={v => updateScoringConfig({ deferralWeight: v })}
+      />
+      <NumberSetting
+        label="Due date"
+        hint="Points when due today or overdue"
+        value={scoring.dueWeight}
+        onCommit={v => updateScoringConfig({ dueWeight: v })}
+      />
+      <NumberSetting
+        label="Due window"
+        hint="Days before the due date that points start to build up"
+        value={scoring.dueWindowDays}
+        onCommit={v => updateScoringConfig({ dueWindowDays: v })}
+      />
+      <NumberSetting
+        label="Boost"
+        hint="Points per level of manual boost"
+        value={scoring.boostWeight}
+        onCommit={v => updateScoringConfig({ boostWeight: v })}
+      />
+      <TouchableOpacity style={styles.resetButton} onPress={handleReset}>
+        <Text style={styles.resetButtonText}>Reset weights to defaults</Text>
+      </TouchableOpacity>
+      <Text style={styles.sectionTitle}>Elimination</Text>
+      <NumberSetting
+        label="Stale after"
+        hint="Deferrals in a row before a task is flagged and offered for dropping (0 to disable)"
+        value={settings.staleThreshold}
+        onCommit={v => updateSettings({ staleThreshold: Math.round(v) })}
+      />
+      <Text style={styles.sectionTitle}>When all checklist steps are done</Text>
+      <View
+        style={styles.selectorContainer}
+        accessibilityRole="radiogroup"
+        accessibilityLabel="When all checklist steps are done"
+      >
+        {SUBTASK_COMPLETION_MODES.map(mode => (
+          <TouchableOpacity
+            key={mode}
+            style={[styles.selectorOption, settings.subtaskCompletion === mode && styles.selectorOptionSelected]}
+            onPress={() => updateSettings({ subtaskCompletion: mode })}
+            accessibilityRole="radio"
+            accessibilityState={{ selected: settings.subtaskCompletion === mode }}
+          >
+            <Text style={[styles.selectorText, settings.subtaskCompletion === mode && styles.selectorTextSelected]}>
+              {SUBTASK_COMPLETION_LABELS[mode]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.sectionTitle}>Day</Text>
+      <NumberSetting
+        label="Day starts at"
+        hint={`Hour (0-${MAX_DAY_START_HOUR}) when a new day begins; e.g. 4 keeps tasks on the same day until 4am`}
+        value={settings.dayStartHour}
+        onCommit={v => updateSettings({ dayStartHour: Math.min(Math.round(v), MAX_DAY_START_HOUR) })}
+      />
+      <NumberSetting
+        label="Daily capacity"
+        hint="Hours of estimated work to plan per day (0 to disable)"
+        value={Math.round(settings.dailyCapacity / 6) / 10}
+        onCommit={v => updateSettings({ dailyCapacity: Math.round(v * 60) })}
+      />
+      <Text style={styles.sectionTitle}>Unfinished tasks at the end of the day</Text>
+      <View accessibilityRole="radiogroup" accessibilityLabel="Unfinished tasks at the end of the day">
+        {ROLLOVER_POLICIES.map(policy => (
+          <TouchableOpacity
+            key={policy}
+            style={styles.settingRow}
+            onPress={() => updateSettings({ rolloverPolicy: policy })}
+            accessibilityRole="radio"
+            accessibilityState={{ selected: settings.rolloverPolicy === policy }}
+          >
+            <View style={styles.settingLabelContainer}>
+              <Text style={styles.settingLabel}>{ROLLOVER_OPTIONS[policy].label}</Text>
+              <Text style={styles.settingHint}>{ROLLOVER_OPTIONS[policy].hint}</Text>
+            </View>
+            {settings.rolloverPolicy === policy && <Text style={styles.checkmark}>✓</Text>}
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.sectionTitle}>Reminders</Text>
+      <View style={styles.selectorContainer} accessibilityRole="radiogroup" accessibilityLabel="Reminders">
+        {[false, true].map(enabled => (
+          <TouchableOpacity
+            key={String(enabled)}
+            style={[styles.selectorOption, reminders.enabled === enabled && styles.selectorOptionSelected]}
+            onPress={() => handleRemindersChange(enabled)}
+            accessibilityRole="radio"
+            accessibilityState={{ selected: reminders.enabled === enabled }}
+          >
+            <Text style={[styles.selectorText, reminders.enabled === enabled && styles.selectorTextSelected]}>
+              {enabled ? 'On' : 'Off'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {reminders.enabled && (
+        <>
+          <TimeSetting
+            label="Morning nudge"
+            hint="Time to pick the day's tasks; opens the elimination round"
+            value={reminders.morning}
+            onCommit={time => updateReminderTime('morning', time)}
+          />
+          <TimeSetting
+            label="Evening recap"
+            hint="Lists what is still open on today's list"
+            value={reminders.evening}
+            onCommit={time => updateReminderTime('evening', time)}
+          />
+          <TimeSetting
+            label="Due tasks"
+            hint="Reminder on the day a task is due"
+            value={reminders.due}
+            onCommit={time => updateReminderTime('due', time)}
+          />
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background
+    },
+    content: {
+      padding: 16,
+      paddingTop: 48
+    },
+    sectionTitle: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.muted,
+      textTransform: 'uppercase',
+      marginTop: 16,
+      marginBottom: 4
+    },
+    selectorContainer: {
+      flexDirection: 'row',
+      paddingVertical: 10
+    },
+    selectorOption: {
+      flex: 1,
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 6,
+      paddingVertical: 8,
+      alignItems: 'center',
+      marginRight: 8
+    },
+    selectorOptionSelected: {
+      backgroundColor: colors.primary,
+      borderColor: colors.primary
+    },
+    selectorText: {
+      color: colors.text
+    },
+    selectorTextSelected: {
+      color: colors.onPrimary
+    },
+    settingRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 10,
+      borderBottomWidth: StyleSheet.hairlineWidth,
+      borderBottomColor: colors.separator
+    },
+    settingLabelContainer: {
+      flex: 1,
+      paddingRight: 12
+    },
+    settingLabel: {
+      fontSize: 16,
+      color: colors.text
+    },
+    settingHint: {
+      fontSize: 12,
+      color: colors.muted
+    },
+    checkmark: {
+      fontSize: 18,
+      color: colors.primary
+    },
+    settingInput: {
+      width: 64,
+      borderWidth: 1,
+      borderColor: colors.border,
+      color: colors.text,
+      borderRadius: 6,
+      paddingHorizontal: 8,
+      paddingVertical: 6,
+      textAlign: 'right'
+    },
+    resetButton: {
+      marginTop: 24,
+      paddingVertical: 12,
+      alignItems: 'center'
+    },
+    resetButtonText: {
+      fontSize: 16,
+      color: colors.danger
+    }
+  });
+
+export default SettingsScreen;
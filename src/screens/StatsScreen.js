@@ -0,0 +1,221 @@
+import React from 'react';
+import { View, Text, ScrollView, StyleSheet } from 'react-native';
+import { useTasks } from '../context/TasksContext';
+import { useThemedStyles } from '../context/ThemeContext';
+import { getAverages, getCompletionRateByType, getDailyCounts, getStreaks } from '../utils/stats';
+import { getEstimateAccuracy } from '../utils/estimates';
+
+const CHART_DAYS = 14;
+const BAR_HEIGHT = 80;
+
+const formatRate = rate => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+const formatAverage = value => value.toFixed(1);
+
+/**
+ * The StatsScreen summarises the daily journal: completion streaks, how often
+ * selected tasks of each type actually get done, and how many tasks are picked
+ * and finished per day over time. It also compares time estimates with the
+ * actual time recorded on completed tasks.
+ */
+const StatsScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { tasks, history, getTodayKey } = useTasks();
+  const todayKey = getTodayKey();
+
+  const streaks = getStreaks(history, todayKey);
+  const rates = getCompletionRateByType(history);
+  const dailyCounts = getDailyCounts(history, todayKey, CHART_DAYS);
+  const weekAverages = getAverages(history, todayKey, 7);
+  const monthAverages = getAverages(history, todayKey, 30);
+  const accuracy = getEstimateAccuracy(tasks);
+  const maxCount = Math.max(1, ...dailyCounts.map(day => Math.max(day.selected, day.completed)));
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.sectionTitle}>Streaks</Text>
+      <View style={styles.cardRow}>
+        <View style={styles.card}>
+          <Text style={styles.cardValue}>{streaks.current}</Text>
+          <Text style={styles.cardLabel}>Current streak (days)</Text>
+        </View>
+        <View style={styles.card}>
+          <Text style={styles.cardValue}>{streaks.longest}</Text>
+          <Text style={styles.cardLabel}>Longest streak (days)</Text>
+        </View>
+      </View>
+
+      <Text style={styles.sectionTitle}>Completion rate by type</Text>
+      {Object.keys(rates).map(type => (
+        <View key={type} style={styles.row}>
+          <Text style={styles.rowLabel}>{type}</Text>
+          <Text style={styles.rowDetail}>
+            {rates[type].completed}/{rates[type].selected}
+          </Text>
+          <Text style={styles.rowValue}>{formatRate(rates[type].rate)}</Text>
+        </View>
+      ))}
+
+      <Text style={styles.sectionTitle}>Average tasks per day</Text>
+      <View style={styles.row}>
+        <Text style={styles.rowLabel}>Last 7 days</Text>
+        <Text style={styles.rowDetail}>{formatAverage(weekAverages.selected)} picked</Text>
+        <Text style={styles.rowValue}>{formatAverage(weekAverages.completed)} done</Text>
+      </View>
+      <View style={styles.row}>
+        <Text style={styles.rowLabel}>Last 30 days</Text>
+        <Text style={styles.rowDetail}>{formatAverage(monthAverages.selected)} picked</Text>
+        <Text style={styles.rowValue}>{formatAverage(monthAverages.completed)} done</Text>
+      </View>
+
+      <Text style={styles.sectionTitle}>Estimates</Text>
+      {accuracy.count === 0 ? (
+        <Text style={styles.emptyText}>Complete a task that has an estimate to see how accurate they are.</Text>
+      ) : (
+        <>
+          <View style={styles.row}>
+            <Text style={styles.rowLabel}>On target (±25%)</Text>
+            <Text style={styles.rowDetail}>{accuracy.count} tasks</Text>
+            <Text style={styles.rowValue}>{formatRate(accuracy.onTarget)}</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.rowLabel}>Actual vs. estimated time</Text>
+            <Text style={styles.rowValue}>{formatRate(accuracy.ratio)}</Text>
+          </View>
+        </>
+      )}
+
+      <Text style={styles.sectionTitle}>Last {CHART_DAYS} days</Text>
+      <View style={styles.chart}>
+        {dailyCounts.map(day => (
+          <View key={day.date} style={styles.chartColumn}>
+            <View style={styles.chartBars}>
+              <View style={[styles.bar, styles.barSelected, { height: (day.selected / maxCount) * BAR_HEIGHT }]} />
+              <View style={[styles.bar, styles.barCompleted, { height: (day.completed / maxCount) * BAR_HEIGHT }]} />
+            </View>
+            <Text style={styles.chartLabel}>{day.date.slice(8)}</Text>
+          </View>
+        ))}
+      </View>
+      <View style={styles.legend}>
+        <View style={[styles.legendSwatch, styles.barSelected]} />
+        <Text style={styles.legendText}>Picked</Text>
+        <View style={[styles.legendSwatch, styles.barCompleted]} />
+        <Text style={styles.legendText}>Completed</Text>
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background
+    },
+    content: {
+      padding: 16,
+      paddingTop: 48
+    },
+    sectionTitle: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.muted,
+      textTransform: 'uppercase',
+      marginTop: 16,
+      marginBottom: 8
+    },
+    cardRow: {
+      flexDirection: 'row'
+    },
+    card: {
+      flex: 1,
+      padding: 16,
+      marginRight: 8,
+      borderRadius: 12,
+      backgroundColor: colors.fill
+    },
+    cardValue: {
+      fontSize: 28,
+      fontWeight: '600',
+      color: colors.text
+    },
+    cardLabel: {
+      fontSize: 12,
+      color: colors.muted
+    },
+    row: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 10,
+      borderBottomWidth: StyleSheet.hairlineWidth,
+      borderBottomColor: colors.separator
+    },
+    rowLabel: {
+      flex: 1,
+      fontSize: 16,
+      color: colors.text
+    },
+    rowDetail: {
+      fontSize: 14,
+      color: colors.muted,
+      marginRight: 12
+    },
+    rowValue: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: colors.text
+    },
+    emptyText: {
+      fontSize: 14,
+      color: colors.muted,
+      paddingVertical: 10
+    },
+    chart: {
+      flexDirection: 'row',
+      alignItems: 'flex-end'
+    },
+    chartColumn: {
+      flex: 1,
+      alignItems: 'center'
+    },
+    chartBars: {
+      flexDirection: 'row',
+      alignItems: 'flex-end',
+      height: BAR_HEIGHT
+    },
+    bar: {
+      width: 6,
+      marginHorizontal: 1,
+      borderRadius: 2
+    },
+    barSelected: {
+      backgroundColor: colors.disabled
+    },
+    barCompleted: {
+      backgroundColor: colors.success
+    },
+    chartLabel: {
+      fontSize: 10,
+      color: colors.muted,
+      marginTop: 4
+    },
+    legend: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginTop: 12
+    },
+    legendSwatch: {
+      width: 10,
+      height: 10,
+      borderRadius: 2,
+      marginRight: 4
+    },
+    legendText: {
+      fontSize: 12,
+      color: colors.muted,
+      marginRight: 12
+    }
+  });
+
+export default StatsScreen;
@@ -1,44 +1,84 @@
-import React, { useEffect, useState, useCallback } from 'react';
-import { View, Text, FlatList, Alert, StyleSheet, TouchableOpacity } from 'react-native';
+import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { View, Text, FlatList, Alert, AppState, StyleSheet, TouchableOpacity } from 'react-native';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { useTasks } from '../context/TasksContext';
+import { useThemedStyles } from '../context/ThemeContext';
 import Haptics from 'expo-haptics';
+import { isOverdue } from '../utils/schedule';
+import { formatDuration } from '../utils/estimates';
+import { compareByPriority } from '../utils/ranking';
+import { describeTask } from '../utils/accessibility';
+import { formatSubtaskProgress, getSubtaskProgress, isLastOpenSubtask } from '../utils/subtasks';
+import { getDaysCarried } from '../utils/rollover';
+import ActualTimeModal from '../components/ActualTimeModal';
+import CarryOverSummary from '../components/CarryOverSummary';
+import DayReviewSheet from '../components/DayReviewSheet';
 
 /**
  * This screen displays tasks that have been selected for the current day. It also
  * checks whether it's a new day and, if so, prompts the user to review their
- * tasks and possibly re-prioritise. Users can mark tasks as complete and
- * complete the day once all tasks are finished.
+ * tasks and possibly re-prioritise. Users can mark tasks as complete and, at
+ * the end of the day, review the rest.
  */
 const TodayScreen = () => {
+  const styles = useThemedStyles(createStyles);
   const navigation = useNavigation();
   const {
     tasks,
     toggleCompleted,
+    toggleSubtask,
+    setTaskOutcome,
+    settings,
     isNewDay,
     updateLastActiveDate,
-    clearTodaySelections
+    eliminationSession,
+    discardEliminationSession,
+    storageIssues,
+    getTodayKey,
+    recordActualTime,
+    carriedOver
   } = useTasks();
 
   const [didPrompt, setDidPrompt] = useState(false);
+  // Completed tasks whose actual time is still to be asked for, one at a time.
+  const [timedTasks, setTimedTasks] = useState([]);
+  const timedTask = timedTasks[0] || null;
+  const askActualTime = (...asked) => setTimedTasks(queue => [...queue, ...asked]);
+  const nextTimedTask = () => setTimedTasks(queue => queue.slice(1));
+  // Ids of the tasks whose checklist is open.
+  const [expandedIds, setExpandedIds] = useState([]);
+  const [reviewVisible, setReviewVisible] = useState(false);
+  // The day whose carry-over summary was dismissed.
+  const [dismissedSummaryDay, setDismissedSummaryDay] = useState(null);
 
-  // Derive today's tasks sorted by weight desc and then name asc.
-  const todayTasks = tasks
-    .filter(t => t.todaySelected && !t.completed)
-    .sort((a, b) => {
-      if (b.weight !== a.weight) return b.weight - a.weight;
-      return a.name.localeCompare(b.name);
-    });
+  // Let the user know if any stored data had to be set aside while loading.
+  useEffect(() => {
+    if (storageIssues.length > 0) {
+      Alert.alert('Some data could not be loaded', storageIssues.join('\n'));
+    }
+  }, [storageIssues]);
+
+  // Derive today's tasks sorted by weight desc, then rating and name.
+  const todayTasks = tasks.filter(t => t.todaySelected && !t.completed).sort(compareByPriority);
 
-  const handleDayComplete = () => {
-    // Mark all selected tasks as completed.
-    todayTasks.forEach(task => toggleCompleted(task.id));
+  // Applies the outcomes chosen in the end-of-day review, as one undo step,
+  // then asks for the actual time of each estimated task marked done.
+  const handleReviewSave = outcomes => {
+    Object.entries(outcomes).forEach(([id, outcome]) => setTaskOutcome(id, outcome));
+    setReviewVisible(false);
+    askActualTime(...todayTasks.filter(task => outcomes[task.id] === 'done' && task.estimate));
     Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-    Alert.alert('Great job!', 'You have completed your tasks for today.');
+    if (todayTasks.every(task => outcomes[task.id] === 'done')) {
+      Alert.alert('Great job!', 'You have completed your tasks for today.');
+    }
   };
 
   const promptForDaySetup = useCallback(() => {
     if (!isNewDay()) return;
+    if (eliminationSession) {
+      promptToResume();
+      return;
+    }
     // Show first alert asking to modify tasks.
     Alert.alert(
       'New day, new focus',
@@ -61,7 +101,27 @@ const TodayScreen = () => {
       ],
       { cancelable: false }
     );
-  }, [isNewDay, navigation]);
+  }, [isNewDay, navigation, eliminationSession]);
+
+  // An elimination session was left unfinished earlier today.
+  const promptToResume = () => {
+    Alert.alert(
+      'Pick up where you left off?',
+      'You have an unfinished elimination round from earlier today.',
+      [
+        {
+          text: 'Start over',
+          style: 'destructive',
+          onPress: () => {
+            discardEliminationSession();
+            promptForReprioritise();
+          }
+        },
+        { text: 'Resume', onPress: () => navigation.navigate('Elimination') }
+      ],
+      { cancelable: false }
+    );
+  };
 
   const promptForReprioritise = () => {
     Alert.alert(
@@ -71,9 +131,8 @@ const TodayScreen = () => {
         {
           text: 'Yes',
           onPress: () => {
-            // Clear previous selections and navigate to elimination modal.
-            clearTodaySelections();
-            navigation.navigate('Elimination');
+            // Previous selections are replaced once the session is confirmed.
+            navigation.navigate('Elimination', { replaceSelections: true });
           }
         },
         {
@@ -100,23 +159,118 @@ const TodayScreen = () => {
     }, [didPrompt, isNewDay, promptForDaySetup])
   );
 
-  const renderItem = ({ item }) => (
-    <TouchableOpacity
-      style={styles.taskRow}
-      onPress={() => {
-        toggleCompleted(item.id);
-        Haptics.selectionAsync();
-      }}
-    >
-      <View style={[styles.checkbox, item.completed && styles.checkboxCompleted]}>
-        {item.completed && <Text style={styles.checkmark}>✓</Text>}
+  // The day may roll over (or the timezone change) while the app sits in the
+  // background, so check again whenever it returns to the foreground. The
+  // day already prompted for is remembered so the alert is not stacked.
+  const promptedDay = useRef(null);
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextState => {
+      const today = getTodayKey();
+      if (nextState === 'active' && isNewDay() && promptedDay.current !== today) {
+        promptedDay.current = today;
+        promptForDaySetup();
+      }
+    });
+    return () => subscription.remove();
+  }, [getTodayKey, isNewDay, promptForDaySetup]);
+
+  const todayKey = getTodayKey();
+
+  const completeTask = task => {
+    toggleCompleted(task.id);
+    Haptics.selectionAsync();
+    if (!task.completed && task.estimate) askActualTime(task);
+  };
+
+  const toggleExpanded = id =>
+    setExpandedIds(expandedIds.includes(id) ? expandedIds.filter(e => e !== id) : [...expandedIds, id]);
+
+  const handleSubtaskPress = (task, subtask) => {
+    const finishing = !task.completed && isLastOpenSubtask(task, subtask.id);
+    toggleSubtask(task.id, subtask.id);
+    Haptics.selectionAsync();
+    if (!finishing) return;
+    if (settings.subtaskCompletion === 'auto') {
+      // The task was completed along with its last step.
+      if (task.estimate) askActualTime(task);
+      return;
+    }
+    Alert.alert('All steps done', `Mark "${task.name}" as complete?`, [
+      { text: 'Not yet', style: 'cancel' },
+      { text: 'Complete', onPress: () => completeTask(task) }
+    ]);
+  };
+
+  const renderItem = ({ item }) => {
+    const progress = getSubtaskProgress(item);
+    const expanded = !!progress && expandedIds.includes(item.id);
+    const daysCarried = getDaysCarried(item, todayKey);
+    return (
+      <View style={styles.taskItem}>
+        <View style={styles.taskRow}>
+          <TouchableOpacity
+            style={styles.taskMain}
+            onPress={() => completeTask(item)}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked: item.completed }}
+            accessibilityLabel={describeTask(item, todayKey)}
+          >
+            <View style={[styles.checkbox, item.completed && styles.checkboxCompleted]}>
+              {item.completed && <Text style={styles.checkmark}>✓</Text>}
+            </View>
+            <Text style={[styles.taskText, item.completed && styles.taskTextCompleted]}>{item.name}</Text>
+            {item.estimate ? <Text style={styles.estimate}>{formatDuration(item.estimate)}</Text> : null}
+            {daysCarried > 1 && <Text style={styles.carriedBadge}>{daysCarried}d</Text>}
+            {isOverdue(item, todayKey) && <Text style={styles.overdueBadge}>Overdue</Text>}
+          </TouchableOpacity>
+          {progress && (
+            <TouchableOpacity
+              style={styles.progressBadge}
+              onPress={() => toggleExpanded(item.id)}
+              accessibilityRole="button"
+              accessibilityState={{ expanded }}
+              accessibilityLabel={`Checklist, ${progress.done} of ${progress.total} steps done`}
+            >
+              <Text style={styles.progressText}>
+                {expanded ? '▾' : '▸'} {formatSubtaskProgress(progress)}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        {expanded &&
+          item.subtasks.map(subtask => (
+            <TouchableOpacity
+              key={subtask.id}
+              style={styles.subtaskRow}
+              onPress={() => handleSubtaskPress(item, subtask)}
+              accessibilityRole="checkbox"
+              accessibilityState={{ checked: subtask.done }}
+              accessibilityLabel={subtask.name}
+            >
+              <View style={[styles.subtaskCheckbox, subtask.done && styles.checkboxCompleted]}>
+                {subtask.done && <Text style={styles.subtaskCheckmark}>✓</Text>}
+              </View>
+              <Text style={[styles.subtaskText, subtask.done && styles.taskTextCompleted]}>{subtask.name}</Text>
+            </TouchableOpacity>
+          ))}
       </View>
-      <Text style={[styles.taskText, item.completed && styles.taskTextCompleted]}>{item.name}</Text>
-    </TouchableOpacity>
-  );
+    );
+  };
+
+  const showSummary = carriedOver.length > 0 && dismissedSummaryDay !== todayKey;
 
   return (
     <View style={styles.container}>
+      {showSummary && (
+        <CarryOverSummary
+          entries={carriedOver}
+          onDismiss={() => setDismissedSummaryDay(todayKey)}
+          onChoose={() => {
+            setDismissedSummaryDay(todayKey);
+            navigation.navigate('Elimination');
+          }}
+        />
+      )}
       {todayTasks.length === 0 ? (
         <View style={styles.emptyState}>
           <Text style={styles.emptyText}>No tasks selected for today.</Text>
@@ -131,84 +285,165 @@ const TodayScreen = () => {
         />
       )}
       {todayTasks.length > 0 && (
-        <TouchableOpacity style={styles.completeButton} onPress={handleDayComplete}>
-          <Text style={styles.completeButtonText}>Day Complete</Text>
+        <TouchableOpacity
+          style={styles.completeButton}
+          onPress={() => setReviewVisible(true)}
+          accessibilityRole="button"
+          accessibilityHint="Marks each task on today's list as done, deferred or dropped."
+        >
+          <Text style={styles.completeButtonText}>Review Day</Text>
         </TouchableOpacity>
       )}
+      <DayReviewSheet
+        visible={reviewVisible}
+        tasks={todayTasks}
+        onSave={handleReviewSave}
+        onCancel={() => setReviewVisible(false)}
+      />
+      <ActualTimeModal
+        task={timedTask}
+        onSave={minutes => {
+          recordActualTime(timedTask.id, minutes);
+          nextTimedTask();
+        }}
+        onSkip={nextTimedTask}
+      />
     </View>
   );
 };
 
-const styles = StyleSheet.create({
-  container: {
-    flex: 1,
-    backgroundColor: '#F7F7F7'
-  },
-  listContent: {
-    padding: 16
-  },
-  taskRow: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    paddingVertical: 12,
-    borderBottomWidth: StyleSheet.hairlineWidth,
-    borderBottomColor: '#ddd'
-  },
-  checkbox: {
-    width: 24,
-    height: 24,
-    borderWidth: 2,
-    borderColor: '#ccc',
-    borderRadius: 4,
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginRight: 12
-  },
-  checkboxCompleted: {
-    backgroundColor: '#34C759',
-    borderColor: '#34C759'
-  },
-  checkmark: {
-    color: 'white',
-    fontSize: 16
-  },
-  taskText: {
-    fontSize: 16,
-    color: '#333'
-  },
-  taskTextCompleted: {
-    textDecorationLine: 'line-through',
-    color: '#8e8e93'
-  },
-  completeButton: {
-    backgroundColor: '#007AFF',
-    margin: 16,
-    paddingVertical: 14,
-    borderRadius: 8,
-    alignItems: 'center'
-  },
-  completeButtonText: {
-    color: 'white',
-    fontSize: 16,
-    fontWeight: '600'
-  },
-  emptyState: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-    paddingHorizontal: 24
-  },
-  emptyText: {
-    fontSize: 18,
-    fontWeight: '600',
-    marginBottom: 8,
-    textAlign: 'center'
-  },
-  emptySubText: {
-    fontSize: 14,
-    color: '#666',
-    textAlign: 'center'
-  }
-});
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.backgroundGrouped
+    },
+    listContent: {
+      padding: 16
+    },
+    taskItem: {
+      borderBottomWidth: StyleSheet.hairlineWidth,
+      borderBottomColor: colors.border
+    },
+    taskRow: {
+      flexDirection: 'row',
+      alignItems: 'center'
+    },
+    taskMain: {
+      flex: 1,
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 12
+    },
+    checkbox: {
+      width: 24,
+      height: 24,
+      borderWidth: 2,
+      borderColor: colors.border,
+      borderRadius: 4,
+      justifyContent: 'center',
+      alignItems: 'center',
+      marginRight: 12
+    },
+    checkboxCompleted: {
+      backgroundColor: colors.success,
+      borderColor: colors.success
+    },
+    checkmark: {
+      color: colors.onPrimary,
+      fontSize: 16
+    },
+    taskText: {
+      flex: 1,
+      fontSize: 16,
+      color: colors.text
+    },
+    estimate: {
+      fontSize: 12,
+      color: colors.muted,
+      marginLeft: 8
+    },
+    carriedBadge: {
+      fontSize: 12,
+      color: colors.warning,
+      marginLeft: 8
+    },
+    overdueBadge: {
+      fontSize: 12,
+      fontWeight: '600',
+      color: colors.danger,
+      marginLeft: 8
+    },
+    progressBadge: {
+      marginLeft: 8,
+      paddingVertical: 4,
+      paddingHorizontal: 8,
+      borderRadius: 10,
+      backgroundColor: colors.fill
+    },
+    progressText: {
+      fontSize: 12,
+      color: colors.textSecondary
+    },
+    subtaskRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 6,
+      paddingLeft: 36
+    },
+    subtaskCheckbox: {
+      width: 18,
+      height: 18,
+      borderWidth: 1.5,
+      borderColor: colors.border,
+      borderRadius: 3,
+      justifyContent: 'center',
+      alignItems: 'center',
+      marginRight: 10
+    },
+    subtaskCheckmark: {
+      color: colors.onPrimary,
+      fontSize: 12
+    },
+    subtaskText: {
+      flex: 1,
+      fontSize: 15,
+      color: colors.text
+    },
+    taskTextCompleted: {
+      textDecorationLine: 'line-through',
+      color: colors.muted
+    },
+    completeButton: {
+      backgroundColor: colors.primary,
+      margin: 16,
+      paddingVertical: 14,
+      borderRadius: 8,
+      alignItems: 'center'
+    },
+    completeButtonText: {
+      color: colors.onPrimary,
+      fontSize: 16,
+      fontWeight: '600'
+    },
+    emptyState: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+      paddingHorizontal: 24
+    },
+    emptyText: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 8,
+      textAlign: 'center'
+    },
+    emptySubText: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      textAlign: 'center'
+    }
+  });
 
 export default TodayScreen;
\ No newline at end of file
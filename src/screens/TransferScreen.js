@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { v4 as uuidv4 } from 'uuid';
+import Haptics from 'expo-haptics';
+import { useTasks } from '../context/TasksContext';
+import { useThemedStyles } from '../context/ThemeContext';
+import { getDateKey } from '../utils/dates';
+import { exportTasksToCSV, exportTasksToJSON, parseImport, planImport } from '../utils/taskTransfer';
+
+const EXPORTS = {
+  json: { extension: 'json', mimeType: 'application/json', serialise: exportTasksToJSON },
+  csv: { extension: 'csv', mimeType: 'text/csv', serialise: exportTasksToCSV }
+};
+
+// How many task names to list per preview section before summarising.
+const PREVIEW_LIMIT = 10;
+
+/**
+ * The TransferScreen exports every task to a JSON or CSV file through the
+ * system share sheet, and imports such files. An import is first previewed:
+ * the user sees which tasks will be added, which would overwrite an existing
+ * task with the same id, and which records were rejected, and chooses whether
+ * conflicting tasks should be overwritten or kept before anything changes.
+ */
+const TransferScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const navigation = useNavigation();
+  const { tasks, importTasks } = useTasks();
+  const [preview, setPreview] = useState(null);
+  const [overwrite, setOverwrite] = useState(false);
+
+  const handleExport = async format => {
+    const { extension, mimeType, serialise } = EXPORTS[format];
+    try {
+      const uri = `${FileSystem.cacheDirectory}tasks-${getDateKey()}.${extension}`;
+      await FileSystem.writeAsStringAsync(uri, serialise(tasks));
+      await Sharing.shareAsync(uri, { mimeType, dialogTitle: 'Export tasks' });
+    } catch (err) {
+      console.error('Error exporting tasks', err);
+      Alert.alert('Export failed', err.message);
+    }
+  };
+
+  const handlePickFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/csv', 'text/comma-separated-values', 'text/plain'],
+        copyToCacheDirectory: true
+      });
+      if (result.canceled) return;
+      const file = result.assets[0];
+      const text = await FileSystem.readAsStringAsync(file.uri);
+      const { tasks: incoming, errors } = parseImport(text, uuidv4);
+      setPreview({ fileName: file.name, incoming, errors, ...planImport(tasks, incoming) });
+      setOverwrite(false);
+    } catch (err) {
+      Alert.alert('Import failed', err.message);
+    }
+  };
+
+  const handleImport = () => {
+    importTasks(preview.incoming, overwrite);
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    const skipped = overwrite ? 0 : preview.conflicting.length;
+    Alert.alert(
+      'Import complete',
+      `${preview.incoming.length - skipped} task(s) imported${skipped ? `, ${skipped} kept as they were` : ''}.`
+    );
+    setPreview(null);
+    navigation.goBack();
+  };
+
+  const renderNames = list => (
+    <>
+      {list.slice(0, PREVIEW_LIMIT).map(task => (
+        <Text key={task.id} style={styles.previewItem}>
+          • {task.name}
+        </Text>
+      ))}
+      {list.length > PREVIEW_LIMIT && (
+        <Text style={styles.previewItem}>…and {list.length - PREVIEW_LIMIT} more</Text>
+      )}
+    </>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.sectionTitle}>Export</Text>
+      <Text style={styles.hint}>
+        Saves all {tasks.length} task(s), including completion, today selection and timestamps.
+      </Text>
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.button} onPress={() => handleExport('json')}>
+          <Text style={styles.buttonText}>Export JSON</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.button} onPress={() => handleExport('csv')}>
+          <Text style={styles.buttonText}>Export CSV</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.sectionTitle}>Import</Text>
+      <Text style={styles.hint}>Choose a JSON or CSV file exported from this app.</Text>
+      <TouchableOpacity style={styles.button} onPress={handlePickFile}>
+        <Text style={styles.buttonText}>Choose file…</Text>
+      </TouchableOpacity>
+
+      {preview && (
+        <View style={styles.preview}>
+          <Text style={styles.previewTitle}>{preview.fileName}</Text>
+          <Text style={styles.previewHeading}>{preview.added.length} new task(s)</Text>
+          {renderNames(preview.added)}
+          <Text style={styles.previewHeading}>{preview.conflicting.length} already in your list</Text>
+          {renderNames(preview.conflicting)}
+          {preview.conflicting.length > 0 && (
+            <View style={styles.selectorContainer}>
+              {[
+                { label: 'Keep mine', value: false },
+                { label: 'Overwrite', value: true }
+              ].map(option => (
+                <TouchableOpacity
+                  key={option.label}
+                  style={[styles.selectorOption, overwrite === option.value && styles.selectorOptionSelected]}
+                  onPress={() => setOverwrite(option.value)}
+                >
+                  <Text style={[styles.selectorText, overwrite === option.value && styles.selectorTextSelected]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          {preview.errors.length > 0 && (
+            <>
+              <Text style={[styles.previewHeading, styles.errorText]}>
+                {preview.errors.length} record(s) will be skipped
+              </Text>
+              {preview.errors.slice(0, PREVIEW_LIMIT).map(error => (
+                <Text key={error} style={styles.previewItem}>
+                  • {error}
+                </Text>
+              ))}
+            </>
+          )}
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => setPreview(null)}>
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, preview.incoming.length === 0 && styles.buttonDisabled]}
+              onPress={handleImport}
+              disabled={preview.incoming.length === 0}
+            >
+              <Text style={styles.buttonText}>Import</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background
+    },
+    content: {
+      padding: 16
+    },
+    sectionTitle: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.muted,
+      textTransform: 'uppercase',
+      marginTop: 16,
+      marginBottom: 4
+    },
+    hint: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      marginBottom: 12
+    },
+    buttonRow: {
+      flexDirection: 'row'
+    },
+    button: {
+      backgroundColor: colors.primary,
+      paddingVertical: 12,
+      paddingHorizontal: 16,
+      borderRadius: 8,
+      alignItems: 'center',
+      marginRight: 8,
+      marginBottom: 8
+    },
+    buttonDisabled: {
+      opacity: 0.4
+    },
+    buttonText: {
+      color: colors.onPrimary,
+      fontSize: 16,
+      fontWeight: '500'
+    },
+    secondaryButton: {
+      backgroundColor: colors.fill
+    },
+    secondaryButtonText: {
+      color: colors.primary,
+      fontSize: 16
+    },
+    preview: {
+      marginTop: 16,
+      padding: 16,
+      borderRadius: 12,
+      backgroundColor: colors.fill
+    },
+    previewTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 8
+    },
+    previewHeading: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.text,
+      marginTop: 8,
+      marginBottom: 4
+    },
+    previewItem: {
+      fontSize: 14,
+      color: colors.textSecondary
+    },
+    errorText: {
+      color: colors.danger
+    },
+    selectorContainer: {
+      flexDirection: 'row',
+      marginTop: 8,
+      marginBottom: 4
+    },
+    selectorOption: {
+      flex: 1,
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 6,
+      paddingVertical: 8,
+      alignItems: 'center',
+      marginRight: 8
+    },
+    selectorOptionSelected: {
+      backgroundColor: colors.primary,
+      borderColor: colors.primary
+    },
+    selectorText: {
+      color: colors.text
+    },
+    selectorTextSelected: {
+      color: colors.onPrimary
+    }
+  });
+
+export default TransferScreen;
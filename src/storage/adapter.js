@@ -0,0 +1,58 @@
+/**
+ * The storage interface shared by every persistence backend. Data is grouped
+ * into collections of records (currently "tasks" and "history"), each record
+ * identified by a string id, plus a small set of string items for scalar
+ * values such as settings and the schema version.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {(collection: string) => Promise<Object[]>} load
+ *   Returns every record in the collection. Throws a CorruptDataError when the
+ *   stored collection cannot be read at all.
+ * @property {(collection: string, records: Object[]) => Promise<void>} upsert
+ *   Inserts or replaces the given records by id.
+ * @property {(collection: string, ids: string[]) => Promise<void>} delete
+ *   Removes the records with the given ids.
+ * @property {(collection: string, filter: Object) => Promise<Object[]>} query
+ *   Returns the records whose top-level fields equal every value in filter.
+ * @property {(key: string) => Promise<?string>} getItem
+ * @property {(key: string, value: string) => Promise<void>} setItem
+ */
+
+export const COLLECTIONS = {
+  tasks: 'tasks',
+  history: 'history'
+};
+
+/**
+ * Raised when a stored collection exists but cannot be parsed. The raw data is
+ * attached so it can be quarantined.
+ */
+export class CorruptDataError extends Error {
+  constructor(source, raw) {
+    super(`Stored data in ${source} could not be parsed`);
+    this.name = 'CorruptDataError';
+    this.source = source;
+    this.raw = raw;
+  }
+}
+
+/**
+ * Whether every field in the filter equals the record's value for it.
+ */
+export const matchesFilter = (record, filter = {}) =>
+  Object.keys(filter).every(key => (record[key] === undefined ? null : record[key]) === filter[key]);
+
+/**
+ * Compares two versions of a record list and returns the records that were
+ * added or replaced and the ids that were removed. Records are compared by
+ * reference, which matches how state updates copy only the records they
+ * change.
+ */
+export const diffRecords = (previous, next) => {
+  const previousById = new Map((previous || []).map(r => [r.id, r]));
+  const nextIds = new Set(next.map(r => r.id));
+  return {
+    upserts: next.filter(r => previousById.get(r.id) !== r),
+    deletes: [...previousById.keys()].filter(id => !nextIds.has(id))
+  };
+};
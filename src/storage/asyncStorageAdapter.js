@@ -0,0 +1,100 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CorruptDataError, matchesFilter } from './adapter';
+
+// Each collection is kept as a single JSON blob under its own key.
+const COLLECTION_KEYS = {
+  tasks: '@tasks',
+  history: '@history'
+};
+
+/**
+ * Converts a stored blob into records. Collections are written as objects
+ * keyed by id; older installs stored tasks as a plain array and history as an
+ * object of day entries without an id field, both of which are accepted.
+ */
+const toRecords = parsed => {
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && typeof parsed === 'object') {
+    return Object.entries(parsed).map(([id, record]) => ({ ...record, id }));
+  }
+  throw new Error('Unexpected collection format');
+};
+
+/**
+ * Creates the AsyncStorage backed StorageAdapter. AsyncStorage has no notion of
+ * records, so every write still serialises the whole collection; an in-memory
+ * copy avoids reading it back each time and writes are queued so they land in
+ * order.
+ *
+ * @returns {import('./adapter').StorageAdapter}
+ */
+export const createAsyncStorageAdapter = () => {
+  const caches = {};
+  let queue = Promise.resolve();
+
+  const enqueue = operation => {
+    const run = queue.catch(() => {}).then(operation);
+    queue = run;
+    return run;
+  };
+
+  const keyFor = collection => COLLECTION_KEYS[collection] || `@${collection}`;
+
+  const readCollection = async collection => {
+    const key = keyFor(collection);
+    const json = await AsyncStorage.getItem(key);
+    caches[collection] = new Map();
+    if (!json) return [];
+    let records;
+    try {
+      records = toRecords(JSON.parse(json));
+    } catch (err) {
+      throw new CorruptDataError(key, json);
+    }
+    records.forEach(r => {
+      if (r && typeof r.id === 'string') caches[collection].set(r.id, r);
+    });
+    return records;
+  };
+
+  const ensureCache = async collection => {
+    if (caches[collection]) return caches[collection];
+    try {
+      await readCollection(collection);
+    } catch (err) {
+      if (!(err instanceof CorruptDataError)) throw err;
+    }
+    return caches[collection];
+  };
+
+  const writeCollection = collection =>
+    AsyncStorage.setItem(keyFor(collection), JSON.stringify(Object.fromEntries(caches[collection])));
+
+  return {
+    load: collection => enqueue(() => readCollection(collection)),
+
+    upsert: (collection, records) =>
+      enqueue(async () => {
+        const cache = await ensureCache(collection);
+        records.forEach(r => cache.set(r.id, r));
+        await writeCollection(collection);
+      }),
+
+    delete: (collection, ids) =>
+      enqueue(async () => {
+        const cache = await ensureCache(collection);
+        ids.forEach(id => cache.delete(id));
+        await writeCollection(collection);
+      }),
+
+    query: (collection, filter) =>
+      enqueue(async () => {
+        const cache = await ensureCache(collection);
+        return [...cache.values()].filter(r => matchesFilter(r, filter));
+      }),
+
+    getItem: key => AsyncStorage.getItem(key),
+
+    setItem: (key, value) => AsyncStorage.setItem(key, value)
+  };
+};
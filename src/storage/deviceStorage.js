@@ -0,0 +1,40 @@
+import { Platform } from 'react-native';
+import { createAsyncStorageAdapter } from './asyncStorageAdapter';
+import { createSQLiteAdapter } from './sqliteAdapter';
+import { copyPersistedState } from './persistence';
+
+// Set in the SQLite database once the AsyncStorage data has been copied in.
+const COPIED_KEY = '@copiedFromAsyncStorage';
+
+/**
+ * Creates the StorageAdapter TasksProvider uses when it is given none. On iOS
+ * and Android that is SQLite, which writes each record as its own row; on the
+ * web it is AsyncStorage. Earlier versions kept everything in AsyncStorage,
+ * so before SQLite is first used that data is copied into it. The
+ * AsyncStorage copy is left in place as a backup.
+ *
+ * @returns {import('./adapter').StorageAdapter}
+ */
+export const createDeviceStorage = () => {
+  if (Platform.OS === 'web') return createAsyncStorageAdapter();
+  const storage = createSQLiteAdapter();
+
+  // A copy that fails is tried again on the next launch.
+  let copied = null;
+  const copyOnce = async () => {
+    if (await storage.getItem(COPIED_KEY)) return;
+    await copyPersistedState(createAsyncStorageAdapter(), storage);
+    await storage.setItem(COPIED_KEY, new Date().toISOString());
+  };
+
+  return Object.fromEntries(
+    Object.entries(storage).map(([name, method]) => [
+      name,
+      async (...args) => {
+        if (!copied) copied = copyOnce();
+        await copied;
+        return method(...args);
+      }
+    ])
+  );
+};
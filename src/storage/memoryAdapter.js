@@ -0,0 +1,43 @@
+import { matchesFilter } from './adapter';
+
+/**
+ * Creates a StorageAdapter that keeps everything in memory. It is intended for
+ * tests and previews, e.g. rendering TasksProvider under Jest without a device.
+ * Records are copied on the way in and out so callers cannot mutate the store.
+ *
+ * @param {{ collections?: Object<string, Object[]>, items?: Object<string, string> }} initial
+ * @returns {import('./adapter').StorageAdapter}
+ */
+export const createMemoryAdapter = (initial = {}) => {
+  const collections = {};
+  Object.entries(initial.collections || {}).forEach(([name, records]) => {
+    collections[name] = new Map(records.map(r => [r.id, { ...r }]));
+  });
+  const items = { ...(initial.items || {}) };
+
+  const collectionFor = name => {
+    if (!collections[name]) collections[name] = new Map();
+    return collections[name];
+  };
+
+  return {
+    load: async collection => [...collectionFor(collection).values()].map(r => ({ ...r })),
+
+    upsert: async (collection, records) => {
+      records.forEach(r => collectionFor(collection).set(r.id, { ...r }));
+    },
+
+    delete: async (collection, ids) => {
+      ids.forEach(id => collectionFor(collection).delete(id));
+    },
+
+    query: async (collection, filter) =>
+      [...collectionFor(collection).values()].filter(r => matchesFilter(r, filter)).map(r => ({ ...r })),
+
+    getItem: async key => (key in items ? items[key] : null),
+
+    setItem: async (key, value) => {
+      items[key] = value;
+    }
+  };
+};
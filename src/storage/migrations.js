@@ -0,0 +1,87 @@
+/**
+ * Schema migrations for persisted data. Each migration upgrades the whole
+ * persisted state ({ tasks, settings, history }) from the previous version to
+ * its own. To change the stored format, bump CURRENT_SCHEMA_VERSION and append
+ * a migration for it; never edit a migration that has already shipped.
+ */
+import { DEFAULT_RATING } from '../utils/ranking';
+
+export const CURRENT_SCHEMA_VERSION = 8;
+
+// Installs from before schema versioning have no @schemaVersion key.
+export const LEGACY_SCHEMA_VERSION = 1;
+
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add scoring, scheduling and recurrence fields to tasks',
+    migrate: data => ({
+      ...data,
+      tasks: data.tasks.map(t => ({
+        boost: 0,
+        deferCount: 0,
+        decisions: [],
+        dueDate: null,
+        startAfter: null,
+        recurrence: null,
+        ...t
+      }))
+    })
+  },
+  {
+    version: 3,
+    description: 'Add time estimate fields to tasks',
+    migrate: data => ({
+      ...data,
+      tasks: data.tasks.map(t => ({ estimate: null, actualMinutes: null, ...t }))
+    })
+  },
+  {
+    version: 4,
+    description: 'Add head-to-head ratings to tasks',
+    migrate: data => ({
+      ...data,
+      tasks: data.tasks.map(t => ({ rating: DEFAULT_RATING, ...t }))
+    })
+  },
+  {
+    version: 5,
+    description: 'Add projects and tags to tasks',
+    migrate: data => ({
+      ...data,
+      tasks: data.tasks.map(t => ({ project: null, tags: [], ...t }))
+    })
+  },
+  {
+    version: 6,
+    description: 'Add subtask checklists to tasks',
+    migrate: data => ({
+      ...data,
+      tasks: data.tasks.map(t => ({ subtasks: [], ...t }))
+    })
+  },
+  {
+    version: 7,
+    description: 'Track since when unfinished tasks have been carried over',
+    migrate: data => ({
+      ...data,
+      tasks: data.tasks.map(t => ({ carriedSince: null, carryBoost: 0, ...t }))
+    })
+  },
+  {
+    version: 8,
+    description: 'Record how tasks on the Today list ended up',
+    migrate: data => ({
+      ...data,
+      tasks: data.tasks.map(t => ({ outcome: t.completed ? 'done' : null, outcomeDate: null, ...t }))
+    })
+  }
+];
+
+/**
+ * Applies, in order, every migration newer than fromVersion.
+ */
+export const runMigrations = (data, fromVersion) =>
+  MIGRATIONS.filter(m => m.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .reduce((acc, m) => m.migrate(acc), data);
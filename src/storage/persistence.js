@@ -0,0 +1,177 @@
+import { COLLECTIONS, CorruptDataError } from './adapter';
+import { CURRENT_SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, runMigrations } from './migrations';
+import { validateTasks } from '../utils/validation';
+
+// Keys of the scalar items kept alongside the record collections.
+export const STORAGE_KEYS = {
+  lastActiveDate: '@lastActiveDate',
+  rolloverDate: '@rolloverDate',
+  settings: '@settings',
+  schemaVersion: '@schemaVersion',
+  quarantine: '@quarantine',
+  eliminationSession: '@eliminationSession'
+};
+
+// Only the most recent quarantined entries are kept.
+const MAX_QUARANTINE_ENTRIES = 20;
+
+/**
+ * Moves data that could not be loaded into the quarantine list so that it is
+ * never lost by being overwritten. Each entry records where the data came
+ * from, why it was rejected and when.
+ */
+export const quarantine = async (storage, source, data, reason) => {
+  const existingJSON = await storage.getItem(STORAGE_KEYS.quarantine);
+  let existing = [];
+  try {
+    existing = existingJSON ? JSON.parse(existingJSON) : [];
+  } catch (err) {
+    // A broken quarantine list is itself kept as the first new entry.
+    existing = [{ source: STORAGE_KEYS.quarantine, data: existingJSON, reason: 'Unparseable JSON', at: Date.now() }];
+  }
+  const entry = { source, data, reason, at: Date.now() };
+  const updated = [...existing, entry].slice(-MAX_QUARANTINE_ENTRIES);
+  await storage.setItem(STORAGE_KEYS.quarantine, JSON.stringify(updated));
+};
+
+const isValidSession = value =>
+  !!value &&
+  typeof value.dateKey === 'string' &&
+  Array.isArray(value.candidateIds) &&
+  Array.isArray(value.decisions) &&
+  value.decisions.every(d => d && typeof d.id === 'string' && typeof d.accepted === 'boolean') &&
+  (value.comparisons === undefined ||
+    (Array.isArray(value.comparisons) &&
+      value.comparisons.every(c => Array.isArray(c) && c.length === 2 && c.every(id => typeof id === 'string'))));
+
+/**
+ * Converts the history object held in state ({ [dateKey]: entry }) into
+ * records for the history collection, and back.
+ */
+const historyToRecords = history => Object.entries(history).map(([id, entry]) => ({ ...entry, id }));
+
+const recordsToHistory = records =>
+  Object.fromEntries(
+    records.map(({ id, ...entry }) => [id, { selected: [], completed: [], carriedOver: [], ...entry }])
+  );
+
+/**
+ * Loads all persisted state through the given StorageAdapter, migrating it to
+ * the current schema version and validating every task. Unparseable data and
+ * invalid task records are quarantined rather than discarded. Returns the
+ * loaded state together with a list of human readable issues and whether this
+ * is the very first launch. Errors from storage itself are not caught; callers
+ * should then avoid writing anything back.
+ */
+export const loadPersistedState = async storage => {
+  const issues = [];
+
+  const setAside = async (source, raw) => {
+    await quarantine(storage, source, raw, 'Unparseable or malformed data');
+    issues.push(`Stored data in ${source} could not be read and has been set aside.`);
+  };
+
+  const loadCollection = async collection => {
+    try {
+      return await storage.load(collection);
+    } catch (err) {
+      if (!(err instanceof CorruptDataError)) throw err;
+      await setAside(err.source, err.raw);
+      return [];
+    }
+  };
+
+  const readSettings = async () => {
+    const json = await storage.getItem(STORAGE_KEYS.settings);
+    if (!json) return {};
+    try {
+      const value = JSON.parse(json);
+      if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+    } catch (err) {
+      // Fall through to quarantine below.
+    }
+    await setAside(STORAGE_KEYS.settings, json);
+    return {};
+  };
+
+  // An elimination session is short-lived, so one that cannot be read is
+  // simply dropped. Sessions saved before comparisons were kept have none.
+  const readSession = async () => {
+    try {
+      const value = JSON.parse(await storage.getItem(STORAGE_KEYS.eliminationSession));
+      return isValidSession(value) ? { comparisons: [], ...value } : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const versionStr = await storage.getItem(STORAGE_KEYS.schemaVersion);
+  const lastActiveDate = await storage.getItem(STORAGE_KEYS.lastActiveDate);
+  const rolloverDate = await storage.getItem(STORAGE_KEYS.rolloverDate);
+  const storedTasks = await loadCollection(COLLECTIONS.tasks);
+  const history = recordsToHistory(await loadCollection(COLLECTIONS.history));
+  const settings = await readSettings();
+  const session = await readSession();
+
+  const storedVersion = parseInt(versionStr, 10) || LEGACY_SCHEMA_VERSION;
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    // Data written by a newer version of the app: keep a copy before loading it.
+    await quarantine(storage, COLLECTIONS.tasks, storedTasks, `Schema version ${storedVersion} is newer than supported`);
+    issues.push('Your data was saved by a newer version of the app. A backup has been kept.');
+  }
+  const migrated = runMigrations({ tasks: storedTasks, settings, history }, storedVersion);
+
+  const { valid, invalid } = validateTasks(migrated.tasks);
+  if (invalid.length) {
+    await quarantine(storage, COLLECTIONS.tasks, invalid, 'Invalid task records');
+    const invalidIds = invalid.map(({ record }) => record && record.id).filter(id => typeof id === 'string');
+    const keptIds = new Set(valid.map(t => t.id));
+    await storage.delete(COLLECTIONS.tasks, invalidIds.filter(id => !keptIds.has(id)));
+    issues.push(`${invalid.length} task(s) could not be read and have been set aside.`);
+  }
+
+  if (storedVersion < CURRENT_SCHEMA_VERSION) {
+    await storage.upsert(COLLECTIONS.tasks, valid);
+    await storage.upsert(COLLECTIONS.history, historyToRecords(migrated.history));
+    await storage.setItem(STORAGE_KEYS.schemaVersion, String(CURRENT_SCHEMA_VERSION));
+  }
+
+  return {
+    tasks: valid,
+    settings: migrated.settings,
+    history: migrated.history,
+    lastActiveDate,
+    rolloverDate,
+    session,
+    firstLaunch: !versionStr && !lastActiveDate && storedTasks.length === 0 && issues.length === 0,
+    issues
+  };
+};
+
+/**
+ * Copies all persisted state from one StorageAdapter to another, e.g. from
+ * AsyncStorage into SQLite. Data is copied as stored, to be migrated and
+ * validated when it is loaded. A collection that cannot be read, and records
+ * without an id, go to the target's quarantine. The source is left as it was.
+ */
+export const copyPersistedState = async (from, to) => {
+  // Items first, since the quarantine is one of them.
+  for (const key of Object.values(STORAGE_KEYS)) {
+    const value = await from.getItem(key);
+    if (value !== null) await to.setItem(key, value);
+  }
+  for (const collection of Object.values(COLLECTIONS)) {
+    let records;
+    try {
+      records = await from.load(collection);
+    } catch (err) {
+      if (!(err instanceof CorruptDataError)) throw err;
+      await quarantine(to, err.source, err.raw, 'Unparseable or malformed data');
+      records = [];
+    }
+    const hasId = record => !!record && typeof record.id === 'string';
+    const missingId = records.filter(record => !hasId(record));
+    if (missingId.length) await quarantine(to, collection, missingId, 'Records without an id');
+    await to.upsert(collection, records.filter(hasId));
+  }
+};
@@ -0,0 +1,26 @@
+import { createMemoryAdapter } from './memoryAdapter';
+import { COLLECTIONS } from './adapter';
+import { STORAGE_KEYS, copyPersistedState } from './persistence';
+
+describe('copyPersistedState', () => {
+  it('copies items and records, leaving the source as it was', async () => {
+    const from = createMemoryAdapter({
+      collections: { [COLLECTIONS.tasks]: [{ id: 'a', name: 'Pay bills' }] },
+      items: { [STORAGE_KEYS.schemaVersion]: '6' }
+    });
+    const to = createMemoryAdapter();
+    await copyPersistedState(from, to);
+    expect(await to.load(COLLECTIONS.tasks)).toEqual([{ id: 'a', name: 'Pay bills' }]);
+    expect(await to.getItem(STORAGE_KEYS.schemaVersion)).toBe('6');
+    expect(await from.load(COLLECTIONS.tasks)).toEqual([{ id: 'a', name: 'Pay bills' }]);
+  });
+
+  it('quarantines records without an id', async () => {
+    const from = createMemoryAdapter({ collections: { [COLLECTIONS.tasks]: [{ id: 'a' }, { id: 1, name: 'Odd' }] } });
+    const to = createMemoryAdapter();
+    await copyPersistedState(from, to);
+    expect(await to.load(COLLECTIONS.tasks)).toEqual([{ id: 'a' }]);
+    const [entry] = JSON.parse(await to.getItem(STORAGE_KEYS.quarantine));
+    expect(entry).toMatchObject({ source: COLLECTIONS.tasks, data: [{ id: 1, name: 'Odd' }], reason: 'Records without an id' });
+  });
+});
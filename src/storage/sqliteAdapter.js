@@ -0,0 +1,115 @@
+import * as SQLite from 'expo-sqlite';
+
+const SCHEMA = `
+PRAGMA journal_mode = WAL;
+CREATE TABLE IF NOT EXISTS records (
+  collection TEXT NOT NULL,
+  id TEXT NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (collection, id)
+);
+CREATE TABLE IF NOT EXISTS items (
+  key TEXT PRIMARY KEY NOT NULL,
+  value TEXT
+);
+`;
+
+// Only plain field names may be interpolated into a JSON path.
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// SQLite has no boolean type; json_extract returns 1/0 for true/false.
+const toSqlValue = value => (typeof value === 'boolean' ? Number(value) : value);
+
+/**
+ * Parses a stored row. A row that is no longer valid JSON is returned as a bare
+ * record with its id so that validation rejects and quarantines it, instead
+ * of one bad row making the whole collection unreadable.
+ */
+const parseRow = row => {
+  try {
+    return { ...JSON.parse(row.data), id: row.id };
+  } catch (err) {
+    return { id: row.id, unparseable: row.data };
+  }
+};
+
+/**
+ * Creates the SQLite backed StorageAdapter. Every record is its own row, so
+ * writes only touch the records that changed.
+ *
+ * @param {string} databaseName
+ * @returns {import('./adapter').StorageAdapter}
+ */
+export const createSQLiteAdapter = (databaseName = 'todo.db') => {
+  let databasePromise = null;
+
+  const getDatabase = () => {
+    if (!databasePromise) {
+      databasePromise = SQLite.openDatabaseAsync(databaseName).then(async db => {
+        await db.execAsync(SCHEMA);
+        return db;
+      });
+    }
+    return databasePromise;
+  };
+
+  return {
+    load: async collection => {
+      const db = await getDatabase();
+      const rows = await db.getAllAsync('SELECT id, data FROM records WHERE collection = ?', [collection]);
+      return rows.map(parseRow);
+    },
+
+    upsert: async (collection, records) => {
+      if (records.length === 0) return;
+      const db = await getDatabase();
+      await db.withTransactionAsync(async () => {
+        for (const record of records) {
+          await db.runAsync('INSERT OR REPLACE INTO records (collection, id, data) VALUES (?, ?, ?)', [
+            collection,
+            record.id,
+            JSON.stringify(record)
+          ]);
+        }
+      });
+    },
+
+    delete: async (collection, ids) => {
+      if (ids.length === 0) return;
+      const db = await getDatabase();
+      const placeholders = ids.map(() => '?').join(', ');
+      await db.runAsync(`DELETE FROM records WHERE collection = ? AND id IN (${placeholders})`, [
+        collection,
+        ...ids
+      ]);
+    },
+
+    query: async (collection, filter = {}) => {
+      const fields = Object.keys(filter);
+      fields.forEach(field => {
+        if (!FIELD_PATTERN.test(field)) throw new Error(`Invalid query field "${field}"`);
+      });
+      const conditions = fields.map(field =>
+        filter[field] === null
+          ? `json_extract(data, '$.${field}') IS NULL`
+          : `json_extract(data, '$.${field}') = ?`
+      );
+      const params = fields.filter(field => filter[field] !== null).map(field => toSqlValue(filter[field]));
+      const where = ['collection = ?', ...conditions].join(' AND ');
+      const db = await getDatabase();
+      const rows = await db.getAllAsync(`SELECT id, data FROM records WHERE ${where}`, [collection, ...params]);
+      return rows.map(parseRow);
+    },
+
+    getItem: async key => {
+      const db = await getDatabase();
+      const row = await db.getFirstAsync('SELECT value FROM items WHERE key = ?', [key]);
+      return row ? row.value : null;
+    },
+
+    setItem: async (key, value) => {
+      const db = await getDatabase();
+      await db.runAsync('INSERT OR REPLACE INTO items (key, value) VALUES (?, ?)', [key, value]);
+    }
+  };
+};
@@ -0,0 +1,265 @@
+/**
+ * Action types and action creators for the task store. Anything that is not
+ * deterministic (new ids, the current time) is resolved here, in the action
+ * creator, so that the reducer itself stays pure.
+ *
+ * @typedef {Object} Action
+ * @property {string} type One of ActionTypes.
+ * @property {Object} [payload]
+ * @property {{ batch?: number }} [meta] Undoable actions sharing a batch number
+ *   are undone together.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { EMPTY_LABEL_FILTER } from '../utils/tags';
+
+export const ActionTypes = {
+  HYDRATE: 'tasks/hydrate',
+  ADD_TASK: 'tasks/add',
+  UPDATE_TASK: 'tasks/update',
+  REMOVE_TASK: 'tasks/remove',
+  IMPORT_TASKS: 'tasks/import',
+  TOGGLE_COMPLETED: 'tasks/toggleCompleted',
+  SET_TODAY_SELECTED: 'tasks/setTodaySelected',
+  BATCH_UPDATE: 'tasks/batchUpdate',
+  TOGGLE_SUBTASK: 'tasks/toggleSubtask',
+  SET_OUTCOME: 'tasks/setOutcome',
+  RECORD_DECISION: 'tasks/recordDecision',
+  RECORD_ACTUAL_TIME: 'tasks/recordActualTime',
+  CLEAR_TODAY_SELECTIONS: 'tasks/clearTodaySelections',
+  ROLL_OVER_DAY: 'day/rollOver',
+  MARK_DAY_ACTIVE: 'day/markActive',
+  START_SESSION: 'session/start',
+  DECIDE_IN_SESSION: 'session/decide',
+  COMPARE_IN_SESSION: 'session/compare',
+  UNDO_SESSION_DECISION: 'session/undoDecision',
+  COMMIT_SESSION: 'session/commit',
+  DISCARD_SESSION: 'session/discard',
+  UPDATE_SETTINGS: 'settings/update',
+  UPDATE_SCORING_CONFIG: 'settings/updateScoring',
+  RESET_SCORING_CONFIG: 'settings/resetScoring',
+  UNDO: 'undo/undo',
+  REDO: 'undo/redo',
+  DISMISS_UNDO_NOTICE: 'undo/dismissNotice'
+};
+
+/**
+ * Replaces the whole state with data loaded from storage.
+ * @param {{ tasks: Object[], history: Object, settings: Object, lastActiveDate: ?string, rolloverDate: ?string }} data
+ * @returns {Action}
+ */
+export const hydrate = (data, now = Date.now()) => ({ type: ActionTypes.HYDRATE, payload: { ...data, now } });
+
+/**
+ * @param {string} name
+ * @param {'Want'|'Need'|'Both'} type
+ * @param {'Today'|'Later'} timing
+ * @param {Object} [extras] Optional fields such as boost, dueDate or recurrence.
+ * @returns {Action}
+ */
+export const addTask = (name, type, timing, extras = {}, id = uuidv4(), now = Date.now()) => ({
+  type: ActionTypes.ADD_TASK,
+  payload: { id, name, type, timing, extras, now }
+});
+
+/**
+ * @param {string} id
+ * @param {Object} updates
+ * @returns {Action}
+ */
+export const updateTask = (id, updates, now = Date.now()) => ({
+  type: ActionTypes.UPDATE_TASK,
+  payload: { id, updates, now }
+});
+
+/**
+ * @param {string} id
+ * @returns {Action}
+ */
+export const removeTask = id => ({ type: ActionTypes.REMOVE_TASK, payload: { id } });
+
+/**
+ * @param {Object[]} tasks Validated tasks, see utils/taskTransfer.
+ * @param {boolean} overwrite Whether tasks with an existing id replace it.
+ * @returns {Action}
+ */
+export const importTasks = (tasks, overwrite, now = Date.now()) => ({
+  type: ActionTypes.IMPORT_TASKS,
+  payload: { tasks, overwrite, now }
+});
+
+/**
+ * nextId is used for the next occurrence if the task is recurring.
+ * @param {string} id
+ * @returns {Action}
+ */
+export const toggleCompleted = (id, nextId = uuidv4(), now = Date.now()) => ({
+  type: ActionTypes.TOGGLE_COMPLETED,
+  payload: { id, nextId, now }
+});
+
+/**
+ * @param {string} id
+ * @param {boolean} selected
+ * @returns {Action}
+ */
+export const setTodaySelected = (id, selected, now = Date.now()) => ({
+  type: ActionTypes.SET_TODAY_SELECTED,
+  payload: { id, selected, now }
+});
+
+/**
+ * Applies one operation to several tasks at once, as a single undo step.
+ * Tasks the operation would not change (e.g. completing a completed task)
+ * are skipped.
+ * @param {string[]} ids
+ * @param {'remove'|'complete'|'uncomplete'|'update'|'select'|'deselect'} operation
+ * @param {Object} [updates] The fields to set, for 'update' (type or timing).
+ * @returns {Action}
+ */
+export const batchUpdate = (ids, operation, updates = {}, now = Date.now()) => ({
+  type: ActionTypes.BATCH_UPDATE,
+  // Completing a recurring task creates its next occurrence, which needs an id.
+  payload: { ids, operation, updates, nextIds: Object.fromEntries(ids.map(id => [id, uuidv4()])), now }
+});
+
+/**
+ * Ticks a subtask off, or reopens it. With settings.subtaskCompletion set to
+ * 'auto', ticking off the last open subtask also completes the task.
+ * @param {string} id The parent task.
+ * @param {string} subtaskId
+ * @returns {Action}
+ */
+export const toggleSubtask = (id, subtaskId, nextId = uuidv4(), now = Date.now()) => ({
+  type: ActionTypes.TOGGLE_SUBTASK,
+  payload: { id, subtaskId, nextId, now }
+});
+
+/**
+ * Records how a task on the Today list ended up, see utils/outcomes: 'done'
+ * completes it, 'deferred' takes it off today and counts as a deferral, and
+ * 'dropped' closes it without completing it. null reopens a dropped task.
+ * nextId is used for the next occurrence if the task is recurring.
+ * @param {string} id
+ * @param {'done'|'deferred'|'dropped'|null} outcome
+ * @returns {Action}
+ */
+export const setTaskOutcome = (id, outcome, nextId = uuidv4(), now = Date.now()) => ({
+  type: ActionTypes.SET_OUTCOME,
+  payload: { id, outcome, nextId, now }
+});
+
+/**
+ * An accept (true) or defer (false) decision made during elimination.
+ * @param {string} id
+ * @param {boolean} accepted
+ * @returns {Action}
+ */
+export const recordDecision = (id, accepted, now = Date.now()) => ({
+  type: ActionTypes.RECORD_DECISION,
+  payload: { id, accepted, now }
+});
+
+/**
+ * How long a completed task actually took, compared with its estimate.
+ * @param {string} id
+ * @param {number} minutes
+ * @returns {Action}
+ */
+export const recordActualTime = (id, minutes, now = Date.now()) => ({
+  type: ActionTypes.RECORD_ACTUAL_TIME,
+  payload: { id, minutes, now }
+});
+
+/** @returns {Action} */
+export const clearTodaySelections = () => ({ type: ActionTypes.CLEAR_TODAY_SELECTIONS });
+
+/**
+ * Carries unfinished tasks over to a new day according to the rollover
+ * policy. Does nothing once today has been rolled over.
+ * @returns {Action}
+ */
+export const rollOverDay = (now = Date.now()) => ({ type: ActionTypes.ROLL_OVER_DAY, payload: { now } });
+
+/**
+ * Marks today as handled by the daily flow.
+ * @returns {Action}
+ */
+export const markDayActive = (now = Date.now()) => ({ type: ActionTypes.MARK_DAY_ACTIVE, payload: { now } });
+
+/**
+ * Starts an elimination session over the given candidates. Decisions made in
+ * it are kept apart from the tasks until the session is committed.
+ * @param {string[]} candidateIds
+ * @param {boolean} replaceSelections Whether committing first clears the
+ *   tasks currently selected for today.
+ * @param {{ projects: string[], tags: string[] }} [filter] The projects and
+ *   tags the candidates were drawn from, kept so a resumed session shows it.
+ * @returns {Action}
+ */
+export const startSession = (candidateIds, replaceSelections, filter = EMPTY_LABEL_FILTER, now = Date.now()) => ({
+  type: ActionTypes.START_SESSION,
+  payload: { candidateIds, replaceSelections, filter, now }
+});
+
+/**
+ * Records (or changes) the decision on a candidate in the current session.
+ * @param {string} id
+ * @param {boolean} accepted
+ * @returns {Action}
+ */
+export const decideInSession = (id, accepted) => ({ type: ActionTypes.DECIDE_IN_SESSION, payload: { id, accepted } });
+
+/**
+ * The user preferred one task over another in a head-to-head comparison in
+ * the current session. Ratings change once the session is committed.
+ * @param {string} winnerId
+ * @param {string} loserId
+ * @returns {Action}
+ */
+export const compareInSession = (winnerId, loserId) => ({
+  type: ActionTypes.COMPARE_IN_SESSION,
+  payload: { winnerId, loserId }
+});
+
+/** @returns {Action} */
+export const undoSessionDecision = () => ({ type: ActionTypes.UNDO_SESSION_DECISION });
+
+/**
+ * Applies the session's comparisons and decisions to the tasks and marks
+ * today as handled.
+ * @returns {Action}
+ */
+export const commitSession = (now = Date.now()) => ({ type: ActionTypes.COMMIT_SESSION, payload: { now } });
+
+/** @returns {Action} */
+export const discardSession = () => ({ type: ActionTypes.DISCARD_SESSION });
+
+/**
+ * @param {Object} updates Top-level settings to replace.
+ * @returns {Action}
+ */
+export const updateSettings = (updates, now = Date.now()) => ({
+  type: ActionTypes.UPDATE_SETTINGS,
+  payload: { updates, now }
+});
+
+/**
+ * @param {Object} updates Part of the scoring config to replace.
+ * @returns {Action}
+ */
+export const updateScoringConfig = (updates, now = Date.now()) => ({
+  type: ActionTypes.UPDATE_SCORING_CONFIG,
+  payload: { updates, now }
+});
+
+/** @returns {Action} */
+export const resetScoringConfig = (now = Date.now()) => ({ type: ActionTypes.RESET_SCORING_CONFIG, payload: { now } });
+
+/** @returns {Action} */
+export const undo = (now = Date.now()) => ({ type: ActionTypes.UNDO, payload: { now } });
+
+/** @returns {Action} */
+export const redo = (now = Date.now()) => ({ type: ActionTypes.REDO, payload: { now } });
+
+/** @returns {Action} */
+export const dismissUndoNotice = () => ({ type: ActionTypes.DISMISS_UNDO_NOTICE });
@@ -0,0 +1,607 @@
+/**
+ * The task store reducer. It holds every piece of business state (tasks,
+ * the daily journal, settings, the last active day and the undo history)
+ * and is free of React, storage and device APIs, so it can run headless in
+ * tests or a web build. TasksProvider is a thin binding over it.
+ */
+import { ActionTypes } from './actions';
+import {
+  DEFAULT_SCORING_CONFIG,
+  computeWeight,
+  normaliseScoringConfig,
+  rescoreTasks
+} from '../utils/scoring';
+import { DEFAULT_STALE_THRESHOLD, recordDecision } from '../utils/deferrals';
+import { getDateKey } from '../utils/dates';
+import { buildNextOccurrence } from '../utils/recurrence';
+import { setCarriedOver, setJournalEntry } from '../utils/history';
+import { UNDO_LIMIT, createUndoEntry, mergeUndoEntry } from '../utils/undo';
+import { DEFAULT_DAILY_CAPACITY } from '../utils/estimates';
+import { DEFAULT_RATING, applyComparisons } from '../utils/ranking';
+import { isLastOpenSubtask, toggleSubtask } from '../utils/subtasks';
+import { DEFAULT_REMINDER_SETTINGS, normaliseReminderSettings } from '../utils/reminders';
+import { applyRolloverOutcome, clearCarryBoost, getDaysCarried, getRolloverOutcome } from '../utils/rollover';
+import { isDropped, isOpenTask, setOutcome } from '../utils/outcomes';
+
+// User-editable settings, persisted under @settings.
+export const DEFAULT_SETTINGS = {
+  scoring: DEFAULT_SCORING_CONFIG,
+  // Consecutive deferrals after which a task is flagged as stale.
+  staleThreshold: DEFAULT_STALE_THRESHOLD,
+  // Local hour at which a new day begins, for users who stay up past midnight.
+  dayStartHour: 0,
+  // Minutes of estimated work that fit in a day; 0 turns the budget off.
+  dailyCapacity: DEFAULT_DAILY_CAPACITY,
+  // What happens to unfinished tasks at the start of a new day; see utils/rollover.
+  rolloverPolicy: 'all',
+  // How the elimination screen asks: 'swipe' one card at a time or 'compare' two.
+  eliminationMode: 'swipe',
+  // When the last subtask is ticked off: 'prompt' to complete the task, or 'auto'.
+  subtaskCompletion: 'prompt',
+  // Scheduled local notifications; see utils/reminders.
+  reminders: DEFAULT_REMINDER_SETTINGS,
+  // Colour theme: 'system' follows the device, or 'light' / 'dark'.
+  appearance: 'system'
+};
+
+export const initialState = {
+  tasks: [],
+  history: {},
+  settings: DEFAULT_SETTINGS,
+  lastActiveDate: null,
+  // The last day unfinished tasks were carried over to.
+  rolloverDate: null,
+  // The elimination session in progress, if any:
+  // { dateKey, candidateIds, decisions: [{ id, accepted }], comparisons: [[winnerId, loserId]],
+  //   replaceSelections, filter }
+  session: null,
+  // notice is the entry last recorded, until it is undone or dismissed.
+  undo: { past: [], future: [], notice: null }
+};
+
+const dayKey = (settings, now) => getDateKey(new Date(now), settings.dayStartHour);
+
+const withWeight = (task, settings, now) => ({
+  ...task,
+  weight: computeWeight(task, settings.scoring, now, settings.dayStartHour)
+});
+
+const rescore = (tasks, settings, now) => rescoreTasks(tasks, settings.scoring, now, settings.dayStartHour);
+
+const mapTask = (tasks, id, update) => tasks.map(t => (t.id === id ? update(t) : t));
+
+const findTask = (state, id) => state.tasks.find(t => t.id === id);
+
+/**
+ * The tasks a batch update would change, in list order.
+ */
+const getBatchTargets = (state, { ids, operation, updates }) => {
+  const idSet = new Set(ids);
+  return state.tasks.filter(t => {
+    if (!idSet.has(t.id)) return false;
+    switch (operation) {
+      case 'complete':
+        return !t.completed;
+      case 'uncomplete':
+        return t.completed;
+      case 'select':
+        return !t.todaySelected && !t.completed;
+      case 'deselect':
+        return t.todaySelected;
+      case 'update':
+        return Object.keys(updates).some(key => t[key] !== updates[key]);
+      default:
+        return true;
+    }
+  });
+};
+
+/**
+ * The single-task action a batch update stands for, for one of its targets.
+ */
+const toSingleAction = (task, { operation, updates, nextIds, now }) => {
+  const { id } = task;
+  switch (operation) {
+    case 'remove':
+      return { type: ActionTypes.REMOVE_TASK, payload: { id } };
+    case 'complete':
+    case 'uncomplete':
+      return { type: ActionTypes.TOGGLE_COMPLETED, payload: { id, nextId: nextIds[id], now } };
+    case 'select':
+    case 'deselect':
+      return { type: ActionTypes.SET_TODAY_SELECTED, payload: { id, selected: operation === 'select', now } };
+    default:
+      return { type: ActionTypes.UPDATE_TASK, payload: { id, updates, now } };
+  }
+};
+
+/**
+ * Whether toggling the subtask finishes the task's checklist and the settings
+ * say to complete the task then.
+ */
+const completesParent = (state, task, subtaskId) =>
+  state.settings.subtaskCompletion === 'auto' && !task.completed && isLastOpenSubtask(task, subtaskId);
+
+/**
+ * The next occurrence of a recurring task that has just been closed, weighed
+ * and ready to add, or null. It is created once per instance, so reopening
+ * and closing the task again does not duplicate it.
+ */
+const buildWeighedOccurrence = (state, task, today, { nextId, now }) => {
+  const alreadySpawned = task.nextOccurrenceId && !!findTask(state, task.nextOccurrenceId);
+  if (!task.recurrence || alreadySpawned) return null;
+  const next = buildNextOccurrence(task, today, nextId, now);
+  return next && withWeight(next, state.settings, now);
+};
+
+const withSettings = (state, settings, now) => {
+  const unchanged =
+    settings.scoring === state.settings.scoring && settings.dayStartHour === state.settings.dayStartHour;
+  return { ...state, settings, tasks: unchanged ? state.tasks : rescore(state.tasks, settings, now) };
+};
+
+/**
+ * Applies a single action, ignoring undo bookkeeping.
+ */
+const applyAction = (state, action) => {
+  const { payload } = action;
+  switch (action.type) {
+    case ActionTypes.HYDRATE: {
+      const stored = payload.settings || {};
+      const settings = {
+        ...DEFAULT_SETTINGS,
+        ...stored,
+        scoring: normaliseScoringConfig(stored.scoring),
+        reminders: normaliseReminderSettings(stored.reminders)
+      };
+      return {
+        ...initialState,
+        settings,
+        history: payload.history || {},
+        lastActiveDate: payload.lastActiveDate || null,
+        rolloverDate: payload.rolloverDate || null,
+        session: payload.session || null,
+        // Recalculate weights on load in case of version changes.
+        tasks: rescore(payload.tasks, settings, payload.now)
+      };
+    }
+
+    case ActionTypes.ADD_TASK: {
+      const task = withWeight(
+        {
+          boost: 0,
+          deferCount: 0,
+          dueDate: null,
+          startAfter: null,
+          recurrence: null,
+          estimate: null,
+          actualMinutes: null,
+          rating: DEFAULT_RATING,
+          project: null,
+          tags: [],
+          subtasks: [],
+          carriedSince: null,
+          carryBoost: 0,
+          outcome: null,
+          outcomeDate: null,
+          ...payload.extras,
+          id: payload.id,
+          name: payload.name.trim(),
+          type: payload.type,
+          timing: payload.timing,
+          completed: false,
+          todaySelected: false,
+          createdAt: payload.now,
+          updatedAt: payload.now
+        },
+        state.settings,
+        payload.now
+      );
+      return { ...state, tasks: [task, ...state.tasks] };
+    }
+
+    case ActionTypes.UPDATE_TASK:
+      return {
+        ...state,
+        tasks: mapTask(state.tasks, payload.id, t =>
+          withWeight({ ...t, ...payload.updates, updatedAt: payload.now }, state.settings, payload.now)
+        )
+      };
+
+    case ActionTypes.REMOVE_TASK:
+      return { ...state, tasks: state.tasks.filter(t => t.id !== payload.id) };
+
+    case ActionTypes.IMPORT_TASKS: {
+      // Existing accept/defer history is kept when a task is overwritten.
+      const incomingById = new Map(payload.tasks.map(t => [t.id, t]));
+      const updated = state.tasks.map(t => {
+        const replacement = incomingById.get(t.id);
+        if (!replacement || !payload.overwrite) return t;
+        return { ...replacement, decisions: t.decisions || [] };
+      });
+      const existingIds = new Set(state.tasks.map(t => t.id));
+      const added = payload.tasks.filter(t => !existingIds.has(t.id));
+      return { ...state, tasks: rescore([...added, ...updated], state.settings, payload.now) };
+    }
+
+    case ActionTypes.TOGGLE_COMPLETED: {
+      // Completing a recurring task also creates its next occurrence. A
+      // completed task loses its carry-over bump.
+      const task = findTask(state, payload.id);
+      if (!task) return state;
+      const today = dayKey(state.settings, payload.now);
+      const toggled = withWeight(
+        setOutcome(
+          {
+            ...(task.completed ? task : clearCarryBoost(task)),
+            completed: !task.completed,
+            todaySelected: task.completed ? task.todaySelected : false,
+            // The actual time belongs to the completion, so it goes if that is undone.
+            actualMinutes: task.completed ? null : task.actualMinutes,
+            updatedAt: payload.now
+          },
+          task.completed ? null : 'done',
+          today
+        ),
+        state.settings,
+        payload.now
+      );
+      const nextOccurrence = toggled.completed ? buildWeighedOccurrence(state, task, today, payload) : null;
+      if (nextOccurrence) toggled.nextOccurrenceId = nextOccurrence.id;
+      const tasks = mapTask(state.tasks, task.id, () => toggled);
+      return {
+        ...state,
+        tasks: nextOccurrence ? [nextOccurrence, ...tasks] : tasks,
+        history: setJournalEntry(state.history, today, 'completed', task, toggled.completed)
+      };
+    }
+
+    case ActionTypes.SET_TODAY_SELECTED:
+      // Picking a dropped or deferred task for today reopens it, and picking
+      // a task that was carried over ends its carry-over bump.
+      return {
+        ...state,
+        tasks: mapTask(state.tasks, payload.id, t => {
+          const selected = { ...t, todaySelected: payload.selected, updatedAt: payload.now };
+          if (!payload.selected || t.todaySelected) return selected;
+          const picked = t.carryBoost ? withWeight(clearCarryBoost(selected), state.settings, payload.now) : selected;
+          return t.completed ? picked : setOutcome(picked, null);
+        })
+      };
+
+    case ActionTypes.SET_OUTCOME: {
+      // 'done' goes through completion so the journal and recurrence follow;
+      // a deferral counts towards staleness like one made in elimination, and
+      // dropping a recurring task still brings on its next occurrence.
+      const task = findTask(state, payload.id);
+      if (!task) return state;
+      const today = dayKey(state.settings, payload.now);
+      if (payload.outcome === 'done') {
+        return task.completed ? state : applyAction(state, { type: ActionTypes.TOGGLE_COMPLETED, payload });
+      }
+      if (payload.outcome === null) {
+        if (!isDropped(task)) return state;
+        return {
+          ...state,
+          tasks: mapTask(state.tasks, task.id, t => ({ ...setOutcome(t, null), updatedAt: payload.now }))
+        };
+      }
+      if (!isOpenTask(task)) return state;
+      if (payload.outcome === 'deferred') {
+        const deferred = setOutcome(recordDecision(task, false, today), 'deferred', today);
+        return {
+          ...state,
+          tasks: mapTask(state.tasks, task.id, () =>
+            withWeight({ ...deferred, todaySelected: false, updatedAt: payload.now }, state.settings, payload.now)
+          )
+        };
+      }
+      const dropped = withWeight(
+        { ...setOutcome(clearCarryBoost(task), 'dropped', today), todaySelected: false, updatedAt: payload.now },
+        state.settings,
+        payload.now
+      );
+      const nextOccurrence = buildWeighedOccurrence(state, task, today, payload);
+      if (nextOccurrence) dropped.nextOccurrenceId = nextOccurrence.id;
+      const tasks = mapTask(state.tasks, task.id, () => dropped);
+      return { ...state, tasks: nextOccurrence ? [nextOccurrence, ...tasks] : tasks };
+    }
+
+    case ActionTypes.RECORD_DECISION: {
+      // The deferral count feeds into scoring, so the weight is recomputed.
+      // Taking a task on ends its carry-over bump.
+      const task = findTask(state, payload.id);
+      if (!task) return state;
+      const today = dayKey(state.settings, payload.now);
+      const decided = t => recordDecision(payload.accepted ? clearCarryBoost(t) : t, payload.accepted, today);
+      return {
+        ...state,
+        tasks: mapTask(state.tasks, task.id, t =>
+          withWeight(
+            { ...decided(t), todaySelected: payload.accepted, updatedAt: payload.now },
+            state.settings,
+            payload.now
+          )
+        ),
+        history: setJournalEntry(state.history, today, 'selected', task, payload.accepted)
+      };
+    }
+
+    case ActionTypes.RECORD_ACTUAL_TIME: {
+      // The actual time belongs to the completion, so open tasks take none.
+      const task = findTask(state, payload.id);
+      if (!task || !task.completed) return state;
+      return {
+        ...state,
+        tasks: mapTask(state.tasks, task.id, t => ({ ...t, actualMinutes: payload.minutes, updatedAt: payload.now }))
+      };
+    }
+
+    case ActionTypes.CLEAR_TODAY_SELECTIONS:
+      if (!state.tasks.some(t => t.todaySelected)) return state;
+      return { ...state, tasks: state.tasks.map(t => (t.todaySelected ? { ...t, todaySelected: false } : t)) };
+
+    case ActionTypes.BATCH_UPDATE:
+      // Replays the batch as the individual actions it stands for.
+      return getBatchTargets(state, payload).reduce(
+        (acc, task) => applyAction(acc, toSingleAction(task, payload)),
+        state
+      );
+
+    case ActionTypes.TOGGLE_SUBTASK: {
+      const task = findTask(state, payload.id);
+      if (!task || !(task.subtasks || []).some(s => s.id === payload.subtaskId)) return state;
+      const next = applyAction(state, {
+        type: ActionTypes.UPDATE_TASK,
+        payload: { id: task.id, updates: { subtasks: toggleSubtask(task.subtasks, payload.subtaskId) }, now: payload.now }
+      });
+      if (!completesParent(state, task, payload.subtaskId)) return next;
+      return applyAction(next, { type: ActionTypes.TOGGLE_COMPLETED, payload });
+    }
+
+    case ActionTypes.ROLL_OVER_DAY: {
+      // Unfinished tasks still on the Today list from an earlier day are
+      // carried over, once per day, and logged with how long they have been
+      // carried and what the rollover policy did with them. Tasks no longer
+      // carried forget when they were first left unfinished, along with any
+      // carry-over bump. Nothing is
+      // carried before the daily flow has ever been completed, or on a day
+      // it has already handled.
+      const today = dayKey(state.settings, payload.now);
+      if (state.rolloverDate === today) return state;
+      if (!state.lastActiveDate || state.lastActiveDate === today) return { ...state, rolloverDate: today };
+      const since = state.lastActiveDate;
+      const policy = state.settings.rolloverPolicy;
+      const carried = [];
+      const tasks = state.tasks.map(t => {
+        if (!t.todaySelected || t.completed) {
+          return t.carriedSince || t.carryBoost
+            ? withWeight({ ...t, carriedSince: null, carryBoost: 0 }, state.settings, payload.now)
+            : t;
+        }
+        const task = { ...t, carriedSince: t.carriedSince || since };
+        carried.push(task);
+        return withWeight(applyRolloverOutcome(task, getRolloverOutcome(task, policy)), state.settings, payload.now);
+      });
+      return {
+        ...state,
+        rolloverDate: today,
+        tasks,
+        history: carried.length
+          ? setCarriedOver(state.history, today, carried, t => ({
+              days: getDaysCarried(t, today),
+              outcome: getRolloverOutcome(t, policy)
+            }))
+          : state.history
+      };
+    }
+
+    case ActionTypes.MARK_DAY_ACTIVE: {
+      // Completing the daily flow on a new day first makes sure the day has
+      // been rolled over. Tasks are rescored since due dates may have come
+      // closer or passed.
+      const rolled = applyAction(state, { type: ActionTypes.ROLL_OVER_DAY, payload });
+      return {
+        ...rolled,
+        lastActiveDate: dayKey(state.settings, payload.now),
+        tasks: rescore(rolled.tasks, state.settings, payload.now)
+      };
+    }
+
+    case ActionTypes.START_SESSION:
+      return {
+        ...state,
+        session: {
+          dateKey: dayKey(state.settings, payload.now),
+          candidateIds: payload.candidateIds,
+          decisions: [],
+          comparisons: [],
+          replaceSelections: payload.replaceSelections,
+          filter: payload.filter
+        }
+      };
+
+    case ActionTypes.DECIDE_IN_SESSION: {
+      if (!state.session) return state;
+      const decision = { id: payload.id, accepted: payload.accepted };
+      const { decisions } = state.session;
+      const changed = decisions.some(d => d.id === payload.id);
+      return {
+        ...state,
+        session: {
+          ...state.session,
+          decisions: changed ? decisions.map(d => (d.id === payload.id ? decision : d)) : [...decisions, decision]
+        }
+      };
+    }
+
+    case ActionTypes.COMPARE_IN_SESSION:
+      if (!state.session) return state;
+      return {
+        ...state,
+        session: { ...state.session, comparisons: [...state.session.comparisons, [payload.winnerId, payload.loserId]] }
+      };
+
+    case ActionTypes.UNDO_SESSION_DECISION:
+      if (!state.session || state.session.decisions.length === 0) return state;
+      return { ...state, session: { ...state.session, decisions: state.session.decisions.slice(0, -1) } };
+
+    case ActionTypes.COMMIT_SESSION: {
+      // Replays the session as the individual actions it stands for, after
+      // the ratings from its comparisons. The day is rolled over first so the
+      // tasks chosen now do not count as carried.
+      const { session } = state;
+      if (!session) return applyAction(state, { type: ActionTypes.MARK_DAY_ACTIVE, payload });
+      let next = applyAction({ ...state, session: null }, { type: ActionTypes.ROLL_OVER_DAY, payload });
+      const rated = applyComparisons(next.tasks, session.comparisons);
+      next = { ...next, tasks: rated.map((t, i) => (t === next.tasks[i] ? t : { ...t, updatedAt: payload.now })) };
+      if (session.replaceSelections) {
+        next = applyAction(next, { type: ActionTypes.CLEAR_TODAY_SELECTIONS });
+      }
+      next = session.decisions.reduce(
+        (acc, d) => applyAction(acc, { type: ActionTypes.RECORD_DECISION, payload: { ...d, now: payload.now } }),
+        next
+      );
+      return applyAction(next, { type: ActionTypes.MARK_DAY_ACTIVE, payload });
+    }
+
+    case ActionTypes.DISCARD_SESSION:
+      return state.session ? { ...state, session: null } : state;
+
+    case ActionTypes.UPDATE_SETTINGS:
+      return withSettings(state, { ...state.settings, ...payload.updates }, payload.now);
+
+    case ActionTypes.UPDATE_SCORING_CONFIG:
+      return withSettings(
+        state,
+        { ...state.settings, scoring: normaliseScoringConfig({ ...state.settings.scoring, ...payload.updates }) },
+        payload.now
+      );
+
+    case ActionTypes.RESET_SCORING_CONFIG:
+      return withSettings(state, { ...state.settings, scoring: DEFAULT_SCORING_CONFIG }, payload.now);
+
+    default:
+      return state;
+  }
+};
+
+// Undo kinds of the outcomes set by SET_OUTCOME.
+const OUTCOME_KINDS = { done: 'complete', deferred: 'defer', dropped: 'drop' };
+
+/**
+ * Returns the [kind, task names] pair describing an undoable action, or null
+ * for actions that are not undoable.
+ */
+const describeUndoable = (state, action) => {
+  const { payload } = action;
+  const task = payload && payload.id ? findTask(state, payload.id) : null;
+  switch (action.type) {
+    case ActionTypes.ADD_TASK:
+      return ['add', [payload.name.trim()]];
+    case ActionTypes.UPDATE_TASK:
+      return task && ['update', [task.name]];
+    case ActionTypes.REMOVE_TASK:
+      return task && ['remove', [task.name]];
+    case ActionTypes.TOGGLE_COMPLETED:
+      return task && [task.completed ? 'uncomplete' : 'complete', [task.name]];
+    case ActionTypes.SET_TODAY_SELECTED:
+      return task && [payload.selected ? 'select' : 'deselect', [task.name]];
+    case ActionTypes.SET_OUTCOME:
+      return task && [payload.outcome ? OUTCOME_KINDS[payload.outcome] : 'reopen', [task.name]];
+    case ActionTypes.TOGGLE_SUBTASK:
+      return task && [completesParent(state, task, payload.subtaskId) ? 'complete' : 'update', [task.name]];
+    case ActionTypes.BATCH_UPDATE: {
+      const targets = getBatchTargets(state, payload);
+      return targets.length > 0 && [payload.operation, targets.map(t => t.name)];
+    }
+    case ActionTypes.CLEAR_TODAY_SELECTIONS: {
+      const cleared = state.tasks.filter(t => t.todaySelected);
+      return cleared.length > 0 && ['clear', cleared.map(t => t.name)];
+    }
+    default:
+      return null;
+  }
+};
+
+const snapshot = state => ({ tasks: state.tasks, history: state.history });
+
+// Weights are recomputed on restore, since the scoring settings or the day
+// may have changed since the snapshot was taken.
+const restore = (state, entry, undoState, now) => ({
+  ...state,
+  tasks: rescore(entry.snapshot.tasks, state.settings, now),
+  history: entry.snapshot.history,
+  undo: undoState
+});
+
+/**
+ * Applies a change that is not undoable itself to the snapshots held by the
+ * undo history, so that undoing an earlier change does not revert it.
+ */
+const replayOnEntries = (entries, state, action) =>
+  entries.map(entry => ({ ...entry, snapshot: snapshot(applyAction({ ...state, ...entry.snapshot }, action)) }));
+
+/**
+ * The store reducer: applies the action and, for undoable actions, records
+ * the state from before it. Undoable actions with the same meta.batch as the
+ * previous entry are merged into it. Any other change to the tasks or history
+ * (an elimination session, a new day, an import, a recorded time) is replayed
+ * on the snapshots already recorded, so it survives a later undo or redo.
+ *
+ * @param {typeof initialState} state
+ * @param {import('./actions').Action} action
+ */
+export const tasksReducer = (state = initialState, action) => {
+  const { past, future } = state.undo;
+
+  if (action.type === ActionTypes.UNDO) {
+    const entry = past[past.length - 1];
+    if (!entry) return state;
+    return restore(
+      state,
+      entry,
+      { past: past.slice(0, -1), future: [...future, { ...entry, snapshot: snapshot(state) }], notice: null },
+      action.payload.now
+    );
+  }
+  if (action.type === ActionTypes.REDO) {
+    const entry = future[future.length - 1];
+    if (!entry) return state;
+    return restore(
+      state,
+      entry,
+      { past: [...past, { ...entry, snapshot: snapshot(state) }], future: future.slice(0, -1), notice: null },
+      action.payload.now
+    );
+  }
+  if (action.type === ActionTypes.DISMISS_UNDO_NOTICE) {
+    return state.undo.notice ? { ...state, undo: { ...state.undo, notice: null } } : state;
+  }
+
+  const next = applyAction(state, action);
+  const undoable = describeUndoable(state, action);
+  if (!undoable) {
+    const changed = next.tasks !== state.tasks || next.history !== state.history;
+    if (!changed || action.type === ActionTypes.HYDRATE) return next;
+    return {
+      ...next,
+      undo: { ...state.undo, past: replayOnEntries(past, state, action), future: replayOnEntries(future, state, action) }
+    };
+  }
+  if (next === state) return next;
+
+  const [kind, names] = undoable;
+  const batch = action.meta && action.meta.batch;
+  const last = past[past.length - 1];
+  const merge = batch !== undefined && last && last.batch === batch;
+  const entry = merge ? mergeUndoEntry(last, kind, names) : createUndoEntry(kind, names, snapshot(state), batch);
+  return {
+    ...next,
+    undo: {
+      past: merge ? [...past.slice(0, -1), entry] : [...past, entry].slice(-UNDO_LIMIT),
+      future: [],
+      notice: entry
+    }
+  };
+};
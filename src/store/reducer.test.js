@@ -0,0 +1,236 @@
+import * as actions from './actions';
+import { initialState, tasksReducer } from './reducer';
+import { selectCarriedOver, selectEliminationCandidates, selectSessionProgress, selectUndoNotice } from './selectors';
+
+// Noon on three consecutive days, the first a Monday.
+const MONDAY = new Date(2026, 9, 19, 12).getTime();
+const TUESDAY = new Date(2026, 9, 20, 12).getTime();
+const WEDNESDAY = new Date(2026, 9, 21, 12).getTime();
+
+const run = (state, ...list) => list.reduce(tasksReducer, state);
+
+const load = (settings = {}) => tasksReducer(initialState, actions.hydrate({ tasks: [], settings }, MONDAY));
+
+const add = (id, type = 'Need', extras = {}) => actions.addTask(id.toUpperCase(), type, 'Later', extras, id, MONDAY);
+
+const task = (state, id) => state.tasks.find(t => t.id === id);
+
+// Selects the tasks on Monday and finishes Monday's daily flow.
+const plannedMonday = (settings, ...tasks) =>
+  run(
+    load(settings),
+    ...tasks.map(([id, type]) => add(id, type)),
+    ...tasks.map(([id]) => actions.setTodaySelected(id, true, MONDAY)),
+    actions.markDayActive(MONDAY)
+  );
+
+describe('ROLL_OVER_DAY', () => {
+  it('carries unfinished tasks over and logs them', () => {
+    const state = run(
+      plannedMonday({}, ['a'], ['b']),
+      actions.toggleCompleted('b', 'next', MONDAY),
+      actions.rollOverDay(TUESDAY)
+    );
+    expect(task(state, 'a')).toMatchObject({ todaySelected: true, carriedSince: '2026-10-19' });
+    expect(task(state, 'b').carriedSince).toBe(null);
+    expect(state.rolloverDate).toBe('2026-10-20');
+    expect(selectCarriedOver(state, TUESDAY)).toEqual([
+      { id: 'a', name: 'A', type: 'Need', days: 1, outcome: 'kept' }
+    ]);
+  });
+
+  it('runs once per day', () => {
+    const once = run(plannedMonday({}, ['a']), actions.rollOverDay(TUESDAY));
+    expect(tasksReducer(once, actions.rollOverDay(TUESDAY))).toBe(once);
+  });
+
+  it('carries nothing before the daily flow was ever completed', () => {
+    const state = run(load(), add('a'), actions.setTodaySelected('a', true, MONDAY), actions.rollOverDay(TUESDAY));
+    expect(task(state, 'a').carriedSince).toBe(null);
+    expect(selectCarriedOver(state, TUESDAY)).toEqual([]);
+  });
+
+  it('counts the days since a task was first carried', () => {
+    const state = run(
+      plannedMonday({}, ['a']),
+      actions.rollOverDay(TUESDAY),
+      actions.markDayActive(TUESDAY),
+      actions.rollOverDay(WEDNESDAY)
+    );
+    expect(task(state, 'a').carriedSince).toBe('2026-10-19');
+    expect(selectCarriedOver(state, WEDNESDAY)[0].days).toBe(2);
+  });
+
+  it('keeps only Need and Both tasks under the essential policy', () => {
+    const state = run(
+      plannedMonday({ rolloverPolicy: 'essential' }, ['a', 'Want'], ['b', 'Both']),
+      actions.rollOverDay(TUESDAY)
+    );
+    expect(task(state, 'a').todaySelected).toBe(false);
+    expect(task(state, 'b').todaySelected).toBe(true);
+    const outcomes = Object.fromEntries(selectCarriedOver(state, TUESDAY).map(e => [e.id, e.outcome]));
+    expect(outcomes).toEqual({ a: 'unselected', b: 'kept' });
+  });
+
+  it('bumps carried tasks under the bump policy until they are done', () => {
+    const bumped = run(plannedMonday({ rolloverPolicy: 'bump' }, ['a']), actions.rollOverDay(TUESDAY));
+    expect(task(bumped, 'a')).toMatchObject({ boost: 0, carryBoost: 1 });
+    const done = tasksReducer(bumped, actions.toggleCompleted('a', 'next', TUESDAY));
+    expect(task(done, 'a')).toMatchObject({ boost: 0, carryBoost: 0 });
+  });
+
+  it('sends carried tasks to the front of the deck under the deck policy', () => {
+    const state = run(
+      plannedMonday({ rolloverPolicy: 'deck' }, ['a', 'Want']),
+      add('b', 'Both', { boost: 3 }),
+      actions.rollOverDay(TUESDAY)
+    );
+    expect(task(state, 'a').todaySelected).toBe(false);
+    expect(selectEliminationCandidates(state, undefined, TUESDAY).map(t => t.id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('selectEliminationCandidates', () => {
+  it('leaves out closed tasks and those not started yet', () => {
+    const state = run(
+      load(),
+      add('a'),
+      add('b'),
+      add('c'),
+      add('d', 'Need', { startAfter: '2026-10-25' }),
+      actions.toggleCompleted('b', 'next', MONDAY),
+      actions.setTaskOutcome('c', 'dropped', 'next', MONDAY)
+    );
+    expect(selectEliminationCandidates(state, undefined, MONDAY).map(t => t.id)).toEqual(['a']);
+  });
+
+  it('puts stale tasks first', () => {
+    const deferred = Array.from({ length: 5 }, () => actions.recordDecision('a', false, MONDAY));
+    const state = run(load(), add('a', 'Want'), add('b', 'Both', { boost: 3 }), ...deferred);
+    expect(selectEliminationCandidates(state, undefined, MONDAY).map(t => t.id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('SET_OUTCOME', () => {
+  const planned = () => plannedMonday({}, ['a']);
+
+  it('completes a task marked done', () => {
+    const state = tasksReducer(planned(), actions.setTaskOutcome('a', 'done', 'next', MONDAY));
+    expect(task(state, 'a')).toMatchObject({ completed: true, outcome: 'done', outcomeDate: '2026-10-19' });
+    expect(state.history['2026-10-19'].completed.map(t => t.id)).toEqual(['a']);
+  });
+
+  it('takes a deferred task off today and counts the deferral', () => {
+    const state = tasksReducer(planned(), actions.setTaskOutcome('a', 'deferred', 'next', MONDAY));
+    expect(task(state, 'a')).toMatchObject({ todaySelected: false, outcome: 'deferred', deferCount: 1 });
+  });
+
+  it('closes a dropped task without completing it, and reopens it', () => {
+    const dropped = tasksReducer(planned(), actions.setTaskOutcome('a', 'dropped', 'next', MONDAY));
+    expect(task(dropped, 'a')).toMatchObject({ completed: false, todaySelected: false, outcome: 'dropped' });
+    const reopened = tasksReducer(dropped, actions.setTaskOutcome('a', null, 'next', MONDAY));
+    expect(task(reopened, 'a')).toMatchObject({ outcome: null, outcomeDate: null });
+  });
+
+  it('brings on the next occurrence of a dropped recurring task once', () => {
+    const recurrence = { frequency: 'daily', interval: 1 };
+    const state = run(
+      load(),
+      add('a', 'Need', { recurrence }),
+      actions.setTaskOutcome('a', 'dropped', 'next', MONDAY),
+      actions.setTaskOutcome('a', null, 'other', MONDAY),
+      actions.setTaskOutcome('a', 'dropped', 'other', MONDAY)
+    );
+    expect(state.tasks.map(t => t.id)).toEqual(['next', 'a']);
+    expect(task(state, 'next')).toMatchObject({ dueDate: '2026-10-20', outcome: null });
+  });
+});
+
+describe('COMMIT_SESSION', () => {
+  it('applies the decisions and comparisons only once confirmed', () => {
+    const started = run(
+      load(),
+      add('a'),
+      add('b'),
+      actions.startSession(['a', 'b'], false, undefined, MONDAY),
+      actions.decideInSession('a', true),
+      actions.decideInSession('b', false),
+      actions.compareInSession('b', 'a')
+    );
+    expect(started.tasks.every(t => !t.todaySelected && t.rating === 1000)).toBe(true);
+    expect(selectSessionProgress(started, MONDAY).accepted.map(t => t.id)).toEqual(['a']);
+
+    const state = tasksReducer(started, actions.commitSession(MONDAY));
+    expect(state.session).toBe(null);
+    expect(state.lastActiveDate).toBe('2026-10-19');
+    expect(task(state, 'a')).toMatchObject({ todaySelected: true, rating: 984 });
+    expect(task(state, 'b')).toMatchObject({ todaySelected: false, deferCount: 1, rating: 1016 });
+    expect(state.history['2026-10-19'].selected.map(t => t.id)).toEqual(['a']);
+  });
+
+  it('leaves the tasks alone when the session is discarded', () => {
+    const before = run(load(), add('a'), add('b'));
+    const state = run(
+      before,
+      actions.startSession(['a', 'b'], false, undefined, MONDAY),
+      actions.decideInSession('a', true),
+      actions.compareInSession('a', 'b'),
+      actions.discardSession()
+    );
+    expect(state.tasks).toBe(before.tasks);
+  });
+
+  it('replaces earlier selections when asked to', () => {
+    const state = run(
+      plannedMonday({}, ['a']),
+      add('b'),
+      actions.startSession(['b'], true, undefined, TUESDAY),
+      actions.decideInSession('b', true),
+      actions.commitSession(TUESDAY)
+    );
+    expect(task(state, 'a')).toMatchObject({ todaySelected: false, carriedSince: '2026-10-19' });
+    expect(task(state, 'b').todaySelected).toBe(true);
+  });
+});
+
+describe('undo', () => {
+  const batched = (action, batch) => ({ ...action, meta: { batch } });
+
+  it('undoes and redoes a change', () => {
+    const added = tasksReducer(load(), batched(add('a'), 1));
+    const undone = tasksReducer(added, actions.undo(MONDAY));
+    expect(undone.tasks).toEqual([]);
+    expect(tasksReducer(undone, actions.redo(MONDAY)).tasks.map(t => t.id)).toEqual(['a']);
+  });
+
+  it('merges changes from the same batch into one step', () => {
+    const state = run(
+      load(),
+      batched(add('a'), 1),
+      batched(add('b'), 2),
+      batched(actions.setTaskOutcome('a', 'done', 'next', MONDAY), 3),
+      batched(actions.setTaskOutcome('b', 'dropped', 'next', MONDAY), 3)
+    );
+    expect(state.undo.past).toHaveLength(3);
+    expect(selectUndoNotice(state)).toBe('2 changes');
+    const undone = tasksReducer(state, actions.undo(MONDAY));
+    expect(undone.tasks.every(t => !t.completed && !t.outcome)).toBe(true);
+  });
+
+  it('keeps changes that are not undoable when an earlier change is undone', () => {
+    const state = run(
+      load(),
+      batched(add('a', 'Need', { estimate: 30 }), 1),
+      batched(actions.toggleCompleted('a', 'next', MONDAY), 2),
+      batched(actions.recordActualTime('a', 45, MONDAY), 3)
+    );
+    expect(selectUndoNotice(state)).toBe('Completed "A"');
+    const redone = run(state, actions.undo(MONDAY), actions.redo(MONDAY));
+    expect(task(redone, 'a')).toMatchObject({ completed: true, actualMinutes: 45 });
+  });
+
+  it('describes cleared selections by the tasks cleared', () => {
+    const state = run(plannedMonday({}, ['a'], ['b']), batched(actions.clearTodaySelections(), 1));
+    expect(selectUndoNotice(state)).toBe('Cleared 2 tasks from today');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Selectors over the task store state. Like the reducer they are pure; the
+ * current time is passed in where it matters.
+ */
+import { getDateKey } from '../utils/dates';
+import { hasStarted } from '../utils/schedule';
+import { isStaleTask } from '../utils/deferrals';
+import { describeUndoEntry, isDestructiveEntry } from '../utils/undo';
+import { getPlannedMinutes } from '../utils/estimates';
+import { applyComparisons, compareByPriority } from '../utils/ranking';
+import { EMPTY_LABEL_FILTER, matchesLabelFilter } from '../utils/tags';
+import { isAwaitingDeck } from '../utils/rollover';
+import { isOpenTask } from '../utils/outcomes';
+
+// The elimination deck holds at most this many cards, drawn from the tasks
+// with the highest few distinct weights.
+const MAX_CANDIDATES = 10;
+const CANDIDATE_WEIGHT_LEVELS = 5;
+
+/**
+ * The key of the current day, honouring the user's "day starts at" hour.
+ */
+export const selectTodayKey = (state, now = Date.now()) => getDateKey(new Date(now), state.settings.dayStartHour);
+
+/**
+ * Tasks selected for today that are not completed yet, highest weight first
+ * and ties broken by head-to-head rating.
+ */
+export const selectTodayTasks = state =>
+  state.tasks.filter(t => t.todaySelected && !t.completed).sort(compareByPriority);
+
+/**
+ * The elimination session in progress today, or null. Sessions left over
+ * from an earlier day are ignored.
+ */
+export const selectSession = (state, now = Date.now()) =>
+  state.session && state.session.dateKey === selectTodayKey(state, now) ? state.session : null;
+
+/**
+ * Splits the candidates of today's session into those still to be decided
+ * and those accepted or deferred, in decision order. Candidates that have
+ * since been deleted or completed are left out. Their ratings include the
+ * comparisons made in the session so far.
+ */
+export const selectSessionProgress = (state, now = Date.now()) => {
+  const session = selectSession(state, now);
+  if (!session) return { candidates: [], pending: [], accepted: [], deferred: [] };
+  const byId = new Map(applyComparisons(state.tasks, session.comparisons).map(t => [t.id, t]));
+  const candidates = session.candidateIds.map(id => byId.get(id)).filter(t => t && isOpenTask(t));
+  const decided = new Map(session.decisions.map(d => [d.id, d.accepted]));
+  const inOrder = session.decisions.map(d => byId.get(d.id)).filter(t => t && isOpenTask(t));
+  return {
+    candidates,
+    pending: candidates.filter(t => !decided.has(t.id)),
+    accepted: inOrder.filter(t => decided.get(t.id)),
+    deferred: inOrder.filter(t => !decided.get(t.id))
+  };
+};
+
+/**
+ * Minutes of estimated work selected for today and not done yet. During an
+ * elimination session this is what the plan will be once it is committed.
+ */
+export const selectPlannedMinutes = (state, now = Date.now()) => {
+  const session = selectSession(state, now);
+  if (!session) return getPlannedMinutes(state.tasks);
+  const decided = new Set(session.decisions.map(d => d.id));
+  const kept = session.replaceSelections ? [] : state.tasks.filter(t => !decided.has(t.id));
+  const { accepted } = selectSessionProgress(state, now);
+  return getPlannedMinutes(kept) + accepted.reduce((sum, t) => sum + (t.estimate || 0), 0);
+};
+
+/**
+ * Returns a sorted list of tasks to present in the elimination process. Excludes completed tasks
+ * and tasks whose start date has not been reached yet. An optional filter
+ * ({ projects, tags }, see utils/tags) scopes the round to certain projects
+ * or tags, e.g. only work tasks today.
+ * It computes unique weight values, sorted descending, and returns up to 10 tasks.
+ * Tasks of equal weight are ordered by their head-to-head rating.
+ * Stale tasks (deferred too many times in a row) are escalated to the front of
+ * the deck regardless of their weight so the user has to decide on them.
+ * Under the 'deck' rollover policy, tasks carried over from an earlier day
+ * come before even those.
+ */
+export const selectEliminationCandidates = (state, filter = EMPTY_LABEL_FILTER, now = Date.now()) => {
+  const { staleThreshold } = state.settings;
+  const todayKey = selectTodayKey(state, now);
+  // Exclude completed tasks, those not yet started and those outside the filter
+  const sorted = state.tasks
+    .filter(t => isOpenTask(t) && hasStarted(t, todayKey) && matchesLabelFilter(t, filter))
+    .sort(compareByPriority);
+  // Determine top unique weight values
+  const uniqueWeights = Array.from(new Set(sorted.map(t => t.weight))).slice(0, CANDIDATE_WEIGHT_LEVELS);
+  // Filter tasks whose weight is in top unique weights
+  const filtered = sorted.filter(t => uniqueWeights.includes(t.weight));
+  const carried = state.settings.rolloverPolicy === 'deck' ? sorted.filter(isAwaitingDeck) : [];
+  const stale = sorted.filter(t => isStaleTask(t, staleThreshold) && !carried.includes(t));
+  const rest = filtered.filter(t => !isStaleTask(t, staleThreshold) && !carried.includes(t));
+  return [...carried, ...stale, ...rest].slice(0, MAX_CANDIDATES);
+};
+
+/**
+ * The tasks carried over to today, as logged by the rollover: journal
+ * snapshots with the days carried and the outcome of the rollover policy.
+ */
+export const selectCarriedOver = (state, now = Date.now()) => {
+  const entry = state.history[selectTodayKey(state, now)];
+  return entry ? entry.carriedOver : [];
+};
+
+/**
+ * Whether the daily flow has not been completed yet today.
+ */
+export const selectIsNewDay = (state, now = Date.now()) => state.lastActiveDate !== selectTodayKey(state, now);
+
+export const selectCanUndo = state => state.undo.past.length > 0;
+
+export const selectCanRedo = state => state.undo.future.length > 0;
+
+/**
+ * The message for the Undo snackbar, or null when there is nothing to offer.
+ * Only destructive changes are offered.
+ */
+export const selectUndoNotice = state => {
+  const { notice } = state.undo;
+  return notice && isDestructiveEntry(notice) ? describeUndoEntry(notice) : null;
+};
@@ -0,0 +1,97 @@
+/**
+ * Colour palettes. Components never use colour literals; they read these
+ * semantic names through useTheme(), so adding a palette here is all it takes
+ * to offer a new theme.
+ */
+
+export const lightTheme = {
+  name: 'light',
+  dark: false,
+  colors: {
+    // Screen backgrounds.
+    background: '#FFFFFF',
+    // Backgrounds of screens that show their content as cards.
+    backgroundGrouped: '#F5F5F5',
+    // Cards, rows and sheets that sit on the background.
+    surface: '#FFFFFF',
+    // Chips, unselected options and other subtle fills.
+    fill: '#F2F2F7',
+    text: '#333333',
+    textSecondary: '#666666',
+    muted: '#8E8E93',
+    // Inactive controls such as unchecked checkboxes.
+    disabled: '#C7C7CC',
+    border: '#CCCCCC',
+    separator: '#EEEEEE',
+    primary: '#007AFF',
+    // Text and icons drawn on primary, success or danger fills.
+    onPrimary: '#FFFFFF',
+    success: '#34C759',
+    warning: '#FF9500',
+    danger: '#FF3B30',
+    shadow: '#000000',
+    overlay: 'rgba(0,0,0,0.4)',
+    snackbar: '#323232',
+    snackbarText: '#FFFFFF',
+    snackbarAction: '#0A84FF'
+  }
+};
+
+export const darkTheme = {
+  name: 'dark',
+  dark: true,
+  colors: {
+    background: '#000000',
+    backgroundGrouped: '#000000',
+    surface: '#1C1C1E',
+    fill: '#2C2C2E',
+    text: '#F2F2F7',
+    textSecondary: '#AEAEB2',
+    muted: '#8E8E93',
+    disabled: '#48484A',
+    border: '#48484A',
+    separator: '#38383A',
+    primary: '#0A84FF',
+    onPrimary: '#FFFFFF',
+    success: '#30D158',
+    warning: '#FF9F0A',
+    danger: '#FF453A',
+    shadow: '#000000',
+    overlay: 'rgba(0,0,0,0.6)',
+    snackbar: '#3A3A3C',
+    snackbarText: '#FFFFFF',
+    snackbarAction: '#64D2FF'
+  }
+};
+
+export const THEMES = { light: lightTheme, dark: darkTheme };
+
+// Values of settings.appearance. 'system' follows the device setting.
+export const APPEARANCES = ['system', 'light', 'dark'];
+
+/**
+ * Picks the theme for an appearance setting, falling back to the system
+ * colour scheme (and to light when that is unknown).
+ */
+export const resolveTheme = (appearance, systemScheme) => {
+  if (THEMES[appearance]) return THEMES[appearance];
+  return systemScheme === 'dark' ? darkTheme : lightTheme;
+};
+
+/**
+ * Maps a theme onto the shape React Navigation expects, so headers, modal
+ * backgrounds and the tab bar follow the same palette.
+ */
+export const toNavigationTheme = (theme, baseTheme) => ({
+  ...baseTheme,
+  dark: theme.dark,
+  colors: {
+    ...baseTheme.colors,
+    primary: theme.colors.primary,
+    background: theme.colors.background,
+    card: theme.colors.surface,
+    text: theme.colors.text,
+    border: theme.colors.separator,
+    notification: theme.colors.danger
+  }
+});
@@ -0,0 +1,41 @@
+/**
+ * Text for screen readers. The visual UI abbreviates a lot ("Want • Today •
+ * Weight 4", "1h30"); these helpers spell the same information out so that
+ * VoiceOver and TalkBack read it naturally.
+ */
+import { getEffectiveTiming, isOverdue } from './schedule';
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Spells a duration out, e.g. 90 → "1 hour 30 minutes".
+ */
+export const describeDuration = minutes => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const parts = [];
+  if (hours) parts.push(plural(hours, 'hour'));
+  if (rest || !hours) parts.push(plural(rest, 'minute'));
+  return parts.join(' ');
+};
+
+/**
+ * Describes a task in one sentence: its name, type, timing and weight, plus
+ * due date, estimate, overdue status, checklist progress, project and tags
+ * when they apply.
+ */
+export const describeTask = (task, todayKey) => {
+  const parts = [
+    task.name,
+    `${task.type}, ${getEffectiveTiming(task, todayKey) === 'Today' ? 'today' : 'later'}, weight ${task.weight}`
+  ];
+  if (task.dueDate) parts.push(`due ${task.dueDate}`);
+  if (isOverdue(task, todayKey)) parts.push('overdue');
+  if (task.estimate) parts.push(`estimated ${describeDuration(task.estimate)}`);
+  if (task.subtasks && task.subtasks.length) {
+    parts.push(`${task.subtasks.filter(s => s.done).length} of ${plural(task.subtasks.length, 'step')} done`);
+  }
+  if (task.project) parts.push(`project ${task.project}`);
+  if (task.tags && task.tags.length) parts.push(`tagged ${task.tags.join(', ')}`);
+  return parts.join('. ');
+};
@@ -0,0 +1,63 @@
+/**
+ * Date helpers shared by the context and screens. Days are identified by a
+ * "YYYY-MM-DD" key so they can be stored and compared as plain strings.
+ *
+ * Only getDateKey looks at the device clock and timezone. Everything else
+ * works on keys alone (treating them as UTC midnights internally), so day
+ * arithmetic is unaffected by DST transitions.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Latest hour a day may be set to start at.
+export const MAX_DAY_START_HOUR = 12;
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Formats calendar fields (month is zero-based, as in Date) as a day key.
+ */
+export const formatDateKey = (year, month, day) => `${year}-${pad(month + 1)}-${pad(day)}`;
+
+const utcKey = date => formatDateKey(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+/**
+ * Returns the day key for the given moment in the device's local time. Before
+ * dayStartHour (e.g. 4 for a day that starts at 4am) the moment still belongs
+ * to the previous day. The hour is compared on the wall clock, so a day starts
+ * at the same time either side of a DST change, and the key follows the device
+ * if its timezone changes.
+ */
+export const getDateKey = (date = new Date(), dayStartHour = 0) => {
+  if (date.getHours() >= dayStartHour) {
+    return formatDateKey(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+  // Noon of the previous calendar day, which exists whatever DST does.
+  const previous = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1, 12);
+  return formatDateKey(previous.getFullYear(), previous.getMonth(), previous.getDate());
+};
+
+/**
+ * Whether the value is a well-formed day key for a real calendar date.
+ */
+export const isValidDateKey = value => {
+  if (typeof value !== 'string' || !DATE_KEY_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && utcKey(date) === value;
+};
+
+/**
+ * Returns the day key n days after (or before, for negative n) the given key.
+ */
+export const addDays = (dateKey, n) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + n);
+  return utcKey(date);
+};
+
+/**
+ * Returns the number of whole days from one day key to another.
+ */
+export const daysBetween = (fromKey, toKey) =>
+  Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
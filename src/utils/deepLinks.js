@@ -0,0 +1,82 @@
+/**
+ * Checking of the parameters carried by todo:// links. Links can come from
+ * anywhere (other apps, web pages, shortcuts), so nothing in them is trusted:
+ * parameters are validated here and the user confirms before a link adds
+ * anything.
+ */
+import { isValidDateKey } from './dates';
+import { parseDuration } from './estimates';
+import { normaliseLabel, parseTags } from './tags';
+import { parseQuickAdd } from './quickAdd';
+import { TASK_TYPES, TIMINGS } from './validation';
+
+export const LINK_SCHEME = 'todo';
+
+// Longer names are refused rather than cut, as the link is probably not
+// what it seems.
+const MAX_NAME_LENGTH = 200;
+
+// A repeated query parameter arrives as a list; the first value is used.
+const single = value => (Array.isArray(value) ? value[0] : value);
+
+const matchOption = (value, options) => options.find(option => option.toLowerCase() === value.trim().toLowerCase());
+
+/**
+ * Validates the parameters of an add link, e.g.
+ *
+ *   todo://add?name=Call%20mum&type=Need&timing=Today&due=2026-10-20&estimate=30&project=Home&tags=calls
+ *
+ * Only name is required; type and timing default to Want and Today and are
+ * matched without regard to case. Instead of separate parameters, text may
+ * carry a quick-add line (see utils/quickAdd), e.g.
+ * todo://add?text=pay%20rent%20tomorrow%20!need, resolved against todayKey.
+ * Returns { task, errors }: task holds the name, type, timing and extras to
+ * pass to addTask, or is null when errors explain what is wrong.
+ */
+export const parseAddLink = (params = {}, todayKey) => {
+  const text = single(params.text);
+  if (typeof text === 'string' && text.trim() && !single(params.name)) {
+    const { name, type, timing, dueDate, estimate, project, tags } = parseQuickAdd(text, todayKey);
+    if (!name) return { task: null, errors: ['The link does not name a task.'] };
+    if (name.length > MAX_NAME_LENGTH) {
+      return { task: null, errors: [`The task name is longer than ${MAX_NAME_LENGTH} characters.`] };
+    }
+    return { task: { name, type, timing, extras: { dueDate, estimate, project, tags } }, errors: [] };
+  }
+  const errors = [];
+  const name = typeof single(params.name) === 'string' ? single(params.name).trim() : '';
+  if (!name) errors.push('The link does not name a task.');
+  if (name.length > MAX_NAME_LENGTH) errors.push(`The task name is longer than ${MAX_NAME_LENGTH} characters.`);
+
+  const option = (key, options, fallback) => {
+    const value = single(params[key]);
+    if (value === undefined || value === '') return fallback;
+    const match = matchOption(String(value), options);
+    if (!match) errors.push(`Unknown ${key} "${value}"; expected ${options.join(', ')}.`);
+    return match;
+  };
+  const type = option('type', TASK_TYPES, 'Want');
+  const timing = option('timing', TIMINGS, 'Today');
+
+  const due = single(params.due);
+  if (due && !isValidDateKey(due)) errors.push(`"${due}" is not a date; use YYYY-MM-DD.`);
+  const estimateText = single(params.estimate);
+  const estimate = estimateText ? parseDuration(String(estimateText)) : null;
+  if (estimateText && !estimate) errors.push(`"${estimateText}" is not a duration, e.g. 45 or 1h30.`);
+
+  if (errors.length) return { task: null, errors };
+  return {
+    task: {
+      name,
+      type,
+      timing,
+      extras: {
+        dueDate: due || null,
+        estimate,
+        project: normaliseLabel(single(params.project)),
+        tags: parseTags(String(single(params.tags) || ''))
+      }
+    },
+    errors: []
+  };
+};
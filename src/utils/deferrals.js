@@ -0,0 +1,30 @@
+/**
+ * Helpers for the accept/defer history recorded on each task during
+ * elimination. Every decision is appended to task.decisions, while
+ * task.deferCount tracks how many times in a row the task has been deferred
+ * since it was last accepted.
+ */
+
+// Oldest decisions are dropped beyond this many entries.
+const MAX_DECISIONS = 100;
+
+export const DEFAULT_STALE_THRESHOLD = 5;
+
+/**
+ * Returns a copy of the task with an accept or defer decision recorded for
+ * the given day.
+ */
+export const recordDecision = (task, accepted, dateKey) => {
+  const decisions = [...(task.decisions || []), { outcome: accepted ? 'accepted' : 'deferred', date: dateKey }];
+  return {
+    ...task,
+    decisions: decisions.slice(-MAX_DECISIONS),
+    deferCount: accepted ? 0 : (task.deferCount || 0) + 1
+  };
+};
+
+/**
+ * Whether a task has been deferred often enough to be considered stale.
+ */
+export const isStaleTask = (task, threshold = DEFAULT_STALE_THRESHOLD) =>
+  threshold > 0 && (task.deferCount || 0) >= threshold;
@@ -0,0 +1,70 @@
+/**
+ * Time estimates and daily capacity. Estimates, actual times and the capacity
+ * are whole minutes; a task without an estimate does not count towards the
+ * day's plan. Like the other utils this module has no React dependency.
+ */
+
+// Default capacity of a day, in minutes. 0 turns capacity planning off.
+export const DEFAULT_DAILY_CAPACITY = 6 * 60;
+
+// An actual time within this share of the estimate counts as on target.
+const ON_TARGET_TOLERANCE = 0.25;
+
+const DURATION_PATTERN = /^(?:(\d+(?:[.,]\d+)?)\s*h)?\s*(?:(\d+)\s*m?)?$/i;
+
+/**
+ * Whether the value is a usable duration in minutes.
+ */
+export const isValidMinutes = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Parses a duration typed by the user: "90", "45m", "2h", "1.5h" or "1h30".
+ * Returns whole minutes, or null when the text is empty or not a duration.
+ */
+export const parseDuration = text => {
+  const match = DURATION_PATTERN.exec(String(text).trim());
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+  const hours = match[1] ? parseFloat(match[1].replace(',', '.')) : 0;
+  const minutes = Math.round(hours * 60) + (match[2] ? parseInt(match[2], 10) : 0);
+  return minutes > 0 ? minutes : null;
+};
+
+/**
+ * Formats minutes compactly, e.g. 45 → "45m", 120 → "2h", 220 → "3h40".
+ */
+export const formatDuration = minutes => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h${String(rest).padStart(2, '0')}`;
+};
+
+/**
+ * Total estimate of the unfinished tasks selected for today.
+ */
+export const getPlannedMinutes = tasks =>
+  tasks.reduce((sum, t) => (t.todaySelected && !t.completed && t.estimate ? sum + t.estimate : sum), 0);
+
+/**
+ * Whether taking on the task would push the plan beyond the capacity. Always
+ * false when capacity planning is off or the task has no estimate.
+ */
+export const exceedsCapacity = (plannedMinutes, task, capacity) =>
+  capacity > 0 && !!task.estimate && plannedMinutes + task.estimate > capacity;
+
+/**
+ * Compares estimates with the actual time recorded on completed tasks.
+ * Returns the number of tasks measured, the ratio of total actual to total
+ * estimated time (above 1 means tasks take longer than estimated) and the
+ * share of tasks that were on target, or nulls when nothing was measured.
+ */
+export const getEstimateAccuracy = tasks => {
+  const measured = tasks.filter(t => t.completed && t.estimate && t.actualMinutes);
+  if (measured.length === 0) return { count: 0, ratio: null, onTarget: null };
+  const estimated = measured.reduce((sum, t) => sum + t.estimate, 0);
+  const actual = measured.reduce((sum, t) => sum + t.actualMinutes, 0);
+  const onTarget = measured.filter(
+    t => Math.abs(t.actualMinutes - t.estimate) <= t.estimate * ON_TARGET_TOLERANCE
+  ).length;
+  return { count: measured.length, ratio: actual / estimated, onTarget: onTarget / measured.length };
+};
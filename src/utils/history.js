@@ -0,0 +1,50 @@
+/**
+ * The daily journal. History is an object keyed by day key, where each entry
+ * lists the tasks selected in elimination, completed, and carried over from
+ * a previous day:
+ *
+ *   { '2024-06-01': { selected: [...], completed: [...], carriedOver: [...] } }
+ *
+ * Tasks are stored as small { id, name, type } snapshots so the journal stays
+ * meaningful after a task is edited or deleted. Carried over entries also
+ * record how many days the task has been carried and what the rollover
+ * policy did with it (see utils/rollover).
+ */
+
+export const JOURNAL_LISTS = ['selected', 'completed', 'carriedOver'];
+
+const emptyEntry = () => ({ selected: [], completed: [], carriedOver: [] });
+
+const snapshot = task => ({ id: task.id, name: task.name, type: task.type });
+
+/**
+ * Returns a copy of the history with the task added to (or removed from) one of
+ * the lists of the given day.
+ */
+export const setJournalEntry = (history, dateKey, list, task, included) => {
+  const entry = { ...emptyEntry(), ...(history[dateKey] || {}) };
+  const without = entry[list].filter(item => item.id !== task.id);
+  return {
+    ...history,
+    [dateKey]: { ...entry, [list]: included ? [...without, snapshot(task)] : without }
+  };
+};
+
+/**
+ * Returns a copy of the history with the day's carried over list replaced.
+ * details(task) returns extra fields to store with each snapshot.
+ */
+export const setCarriedOver = (history, dateKey, tasks, details = () => ({})) => ({
+  ...history,
+  [dateKey]: {
+    ...emptyEntry(),
+    ...(history[dateKey] || {}),
+    carriedOver: tasks.map(task => ({ ...snapshot(task), ...details(task) }))
+  }
+});
+
+/**
+ * Whether the task appears in the given list of the day's entry.
+ */
+export const isInJournal = (history, dateKey, list, taskId) =>
+  !!history[dateKey] && history[dateKey][list].some(item => item.id === taskId);
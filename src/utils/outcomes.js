@@ -0,0 +1,30 @@
+/**
+ * How a task on the Today list ended up, as recorded by the end-of-day
+ * review (or by completing it). A task's outcome is one of:
+ *
+ *   'done'      completed
+ *   'deferred'  not done today; back to the list for another day
+ *   'dropped'   decided not to do; closed without being completed
+ *
+ * along with the day it was decided (outcomeDate). Open tasks have no
+ * outcome, or 'deferred'.
+ */
+
+export const DAY_OUTCOMES = ['done', 'deferred', 'dropped'];
+
+export const isDropped = task => task.outcome === 'dropped';
+
+/**
+ * Whether the task is still to be done: neither completed nor dropped.
+ */
+export const isOpenTask = task => !task.completed && !isDropped(task);
+
+/**
+ * Returns a copy of the task with the outcome set for the given day, or
+ * cleared when outcome is null.
+ */
+export const setOutcome = (task, outcome, dateKey) => ({
+  ...task,
+  outcome,
+  outcomeDate: outcome ? dateKey : null
+});
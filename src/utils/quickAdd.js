@@ -0,0 +1,165 @@
+/**
+ * Natural-language quick add. Parses a line such as
+ *
+ *   pay rent tomorrow !need #home 30m
+ *
+ * into the fields of a new task. Recognised words set the type (!want,
+ * !need, !both), timing (today, tonight, later, someday), due date
+ * (tomorrow, a weekday such as friday, "in 3 days", "in 2 weeks" or
+ * YYYY-MM-DD, optionally after "due", "by" or "on"), project (@Home), tags
+ * (#errand) and estimate (30m, 1h, 1h30, 90min). Everything else forms the
+ * name; a word starting with a backslash is always kept in the name, so
+ * "\today" adds the word "today". Words are matched without regard to case.
+ *
+ * Plain words (timing words and relative dates such as "monday" or "in 3
+ * days") only count once the name is over: they are recognised after its
+ * last word, so "monday standup notes later" is named "monday standup
+ * notes". Symbols (!need, #tag, @project), estimates and YYYY-MM-DD dates
+ * count anywhere.
+ *
+ * Relative dates are resolved against the day key passed in, so the parser
+ * never looks at the clock and can serve any entry point: the add modal, a
+ * share sheet or a link.
+ */
+import { addDays, isValidDateKey } from './dates';
+import { normaliseLabel, normaliseTags } from './tags';
+
+const TYPE_WORDS = { '!want': 'Want', '!need': 'Need', '!both': 'Both' };
+
+const TIMING_WORDS = { today: 'Today', tonight: 'Today', later: 'Later', someday: 'Later' };
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Words that may introduce a date: "due friday", "by 2026-11-01".
+const DATE_PREFIXES = ['due', 'by', 'on'];
+
+// "45m", "90min", "2h", "1.5h", "1h30", "1h30m", "2hrs".
+const ESTIMATE_PATTERN =
+  /^(?:(\d+(?:[.,]\d+)?)(?:h|hrs?|hours?)(?:(\d+)(?:m|mins?|minutes?)?)?|(\d+)(?:m|mins?|minutes?))$/i;
+
+const weekdayOf = dateKey => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+const parseEstimate = word => {
+  const match = ESTIMATE_PATTERN.exec(word);
+  if (!match) return null;
+  const minutes = match[3]
+    ? parseInt(match[3], 10)
+    : Math.round(parseFloat(match[1].replace(',', '.')) * 60) + (match[2] ? parseInt(match[2], 10) : 0);
+  return minutes > 0 ? minutes : null;
+};
+
+/**
+ * Reads a date starting at words[index]. Returns { dueDate, length } with the
+ * number of words used, or null when no date starts there. A weekday means
+ * its next occurrence after today.
+ */
+const readDate = (words, index, todayKey) => {
+  const word = words[index].toLowerCase();
+  if (word === 'tomorrow' || word === 'tmrw') return { dueDate: addDays(todayKey, 1), length: 1 };
+  if (isValidDateKey(word)) return { dueDate: word, length: 1 };
+  const weekday = WEEKDAYS.indexOf(word);
+  if (weekday !== -1) {
+    const ahead = (weekday - weekdayOf(todayKey) + 7) % 7 || 7;
+    return { dueDate: addDays(todayKey, ahead), length: 1 };
+  }
+  if (word === 'in' && index + 2 < words.length) {
+    const count = /^\d+$/.test(words[index + 1]) ? parseInt(words[index + 1], 10) : NaN;
+    const unit = words[index + 2].toLowerCase();
+    if (count > 0 && /^days?$/.test(unit)) return { dueDate: addDays(todayKey, count), length: 3 };
+    if (count > 0 && /^weeks?$/.test(unit)) return { dueDate: addDays(todayKey, count * 7), length: 3 };
+  }
+  return null;
+};
+
+/**
+ * Parses a quick-add line. Returns the task fields:
+ *
+ *   { name, type, timing, dueDate, estimate, project, tags, recognised }
+ *
+ * name is '' when only recognised words were typed. Type defaults to Want.
+ * Without a timing word, a task due after today is filed under Later and
+ * anything else under Today. When a field is given twice the last one wins
+ * (tags accumulate). recognised lists the words that were understood, as
+ * { field, text } in the order typed, for a preview.
+ */
+export const parseQuickAdd = (text, todayKey) => {
+  const words = String(text).trim().split(/\s+/).filter(Boolean);
+  // Each word, or run of words for a date, becomes a segment: part of the
+  // name (field null) or a value for a field. Plain words are "natural".
+  const segments = [];
+  const push = (field, used, value, natural = false) => segments.push({ field, text: used.join(' '), value, natural });
+
+  for (let i = 0; i < words.length; i += 1) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+
+    if (word.length > 1 && word.startsWith('\\')) {
+      push(null, [word.slice(1)]);
+      continue;
+    }
+    if (TYPE_WORDS[lower]) {
+      push('type', [word], TYPE_WORDS[lower]);
+      continue;
+    }
+    if (TIMING_WORDS[lower]) {
+      push('timing', [word], TIMING_WORDS[lower], true);
+      continue;
+    }
+    if (word.length > 1 && word.startsWith('#') && normaliseLabel(word.slice(1))) {
+      push('tags', [word], word.slice(1));
+      continue;
+    }
+    if (word.length > 1 && word.startsWith('@') && normaliseLabel(word.slice(1))) {
+      push('project', [word], normaliseLabel(word.slice(1)));
+      continue;
+    }
+    const minutes = parseEstimate(word);
+    if (minutes) {
+      push('estimate', [word], minutes);
+      continue;
+    }
+    const prefixed = DATE_PREFIXES.includes(lower) && i + 1 < words.length;
+    const dateIndex = prefixed ? i + 1 : i;
+    const date = readDate(words, dateIndex, todayKey);
+    if (date) {
+      const length = date.length + (prefixed ? 1 : 0);
+      push('dueDate', words.slice(i, i + length), date.dueDate, !isValidDateKey(words[dateIndex]));
+      i += length - 1;
+      continue;
+    }
+    push(null, [word]);
+  }
+
+  // Plain words only count after the last word of the name, so "monday
+  // meeting notes" or "see you later alligator" keep theirs.
+  let lastNameIndex = -1;
+  segments.forEach((segment, index) => {
+    if (!segment.field) lastNameIndex = index;
+  });
+
+  const nameWords = [];
+  const recognised = [];
+  const fields = { type: null, timing: null, dueDate: null, estimate: null, project: null };
+  const tags = [];
+  segments.forEach((segment, index) => {
+    if (!segment.field || (segment.natural && index < lastNameIndex)) {
+      nameWords.push(segment.text);
+      return;
+    }
+    if (segment.field === 'tags') tags.push(segment.value);
+    else fields[segment.field] = segment.value;
+    recognised.push({ field: segment.field, text: segment.text });
+  });
+
+  const { type, timing, dueDate, estimate, project } = fields;
+  return {
+    name: nameWords.join(' '),
+    type: type || 'Want',
+    timing: timing || (dueDate && dueDate > todayKey ? 'Later' : 'Today'),
+    dueDate,
+    estimate,
+    project,
+    tags: normaliseTags(tags),
+    recognised
+  };
+};
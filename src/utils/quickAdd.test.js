@@ -0,0 +1,204 @@
+import { parseQuickAdd } from './quickAdd';
+
+// A Monday.
+const TODAY = '2026-10-19';
+
+const parse = text => parseQuickAdd(text, TODAY);
+
+describe('parseQuickAdd', () => {
+  it('keeps an unadorned line as the name with the defaults', () => {
+    expect(parse('  water the plants ')).toEqual({
+      name: 'water the plants',
+      type: 'Want',
+      timing: 'Today',
+      dueDate: null,
+      estimate: null,
+      project: null,
+      tags: [],
+      recognised: []
+    });
+  });
+
+  it('parses every field of a full line', () => {
+    const parsed = parse('pay rent tomorrow !need #home @Flat 30m');
+    expect(parsed).toMatchObject({
+      name: 'pay rent',
+      type: 'Need',
+      timing: 'Later',
+      dueDate: '2026-10-20',
+      estimate: 30,
+      project: 'Flat',
+      tags: ['home']
+    });
+    expect(parsed.recognised).toEqual([
+      { field: 'dueDate', text: 'tomorrow' },
+      { field: 'type', text: '!need' },
+      { field: 'tags', text: '#home' },
+      { field: 'project', text: '@Flat' },
+      { field: 'estimate', text: '30m' }
+    ]);
+  });
+
+  describe('types', () => {
+    it.each([
+      ['!want', 'Want'],
+      ['!need', 'Need'],
+      ['!both', 'Both'],
+      ['!NEED', 'Need']
+    ])('reads %s', (word, type) => {
+      expect(parse(`call mum ${word}`)).toMatchObject({ name: 'call mum', type });
+    });
+
+    it('lets the last type win', () => {
+      expect(parse('call mum !need !both').type).toBe('Both');
+    });
+
+    it('keeps unknown ! words in the name', () => {
+      expect(parse('finish it !soon').name).toBe('finish it !soon');
+    });
+  });
+
+  describe('timing', () => {
+    it.each([
+      ['today', 'Today'],
+      ['tonight', 'Today'],
+      ['later', 'Later'],
+      ['someday', 'Later']
+    ])('reads %s', (word, timing) => {
+      expect(parse(`read a book ${word}`)).toMatchObject({ name: 'read a book', timing });
+    });
+
+    it('files tasks due after today under Later unless told otherwise', () => {
+      expect(parse('book tickets friday').timing).toBe('Later');
+      expect(parse('book tickets friday today').timing).toBe('Today');
+    });
+  });
+
+  describe('absolute dates', () => {
+    it('reads a YYYY-MM-DD date anywhere', () => {
+      expect(parse('2026-11-01 renew passport')).toMatchObject({ name: 'renew passport', dueDate: '2026-11-01' });
+    });
+
+    it('keeps dates that do not exist in the name', () => {
+      expect(parse('renew passport 2026-02-30')).toMatchObject({
+        name: 'renew passport 2026-02-30',
+        dueDate: null
+      });
+    });
+
+    it('files a date in the past under Today', () => {
+      expect(parse('renew passport 2026-10-01')).toMatchObject({ dueDate: '2026-10-01', timing: 'Today' });
+    });
+  });
+
+  describe('relative dates', () => {
+    it.each([
+      ['tomorrow', '2026-10-20'],
+      ['tmrw', '2026-10-20'],
+      ['in 3 days', '2026-10-22'],
+      ['in 1 day', '2026-10-20'],
+      ['in 2 weeks', '2026-11-02'],
+      ['in 1 week', '2026-10-26']
+    ])('reads %s', (words, dueDate) => {
+      expect(parse(`send invoice ${words}`)).toMatchObject({ name: 'send invoice', dueDate });
+    });
+
+    it('ignores "in" phrases that are not a count of days or weeks', () => {
+      expect(parse('plant bulbs in 3 pots')).toMatchObject({ name: 'plant bulbs in 3 pots', dueDate: null });
+      expect(parse('plant bulbs in 0 days')).toMatchObject({ dueDate: null });
+    });
+  });
+
+  describe('weekdays', () => {
+    it.each([
+      ['tuesday', '2026-10-20'],
+      ['friday', '2026-10-23'],
+      ['sunday', '2026-10-25'],
+      ['Saturday', '2026-10-24']
+    ])('reads %s as its next occurrence', (word, dueDate) => {
+      expect(parse(`gym ${word}`).dueDate).toBe(dueDate);
+    });
+
+    it('reads today’s weekday as a week ahead', () => {
+      expect(parse('gym monday').dueDate).toBe('2026-10-26');
+    });
+  });
+
+  describe('date prefixes', () => {
+    it.each(['due', 'by', 'on'])('reads a date after "%s"', prefix => {
+      const parsed = parse(`file taxes ${prefix} friday`);
+      expect(parsed).toMatchObject({ name: 'file taxes', dueDate: '2026-10-23' });
+      expect(parsed.recognised).toEqual([{ field: 'dueDate', text: `${prefix} friday` }]);
+    });
+
+    it('reads a prefixed absolute date anywhere', () => {
+      expect(parse('by 2026-12-01 file taxes')).toMatchObject({ name: 'file taxes', dueDate: '2026-12-01' });
+    });
+
+    it('keeps a prefix that is not followed by a date in the name', () => {
+      expect(parse('take notes on paper')).toMatchObject({ name: 'take notes on paper', dueDate: null });
+      expect(parse('pay by card')).toMatchObject({ name: 'pay by card', dueDate: null });
+    });
+  });
+
+  describe('estimates', () => {
+    it.each([
+      ['30m', 30],
+      ['90min', 90],
+      ['45mins', 45],
+      ['2h', 120],
+      ['1h30', 90],
+      ['1h30m', 90],
+      ['1.5h', 90],
+      ['2hrs', 120]
+    ])('reads %s', (word, minutes) => {
+      expect(parse(`write report ${word}`)).toMatchObject({ name: 'write report', estimate: minutes });
+    });
+
+    it('keeps plain numbers and zero durations in the name', () => {
+      expect(parse('buy 30 eggs').name).toBe('buy 30 eggs');
+      expect(parse('nap 0m')).toMatchObject({ name: 'nap 0m', estimate: null });
+    });
+  });
+
+  describe('tags and projects', () => {
+    it('collects tags and keeps the last project', () => {
+      expect(parse('fix tap #home #diy @Flat @House')).toMatchObject({
+        name: 'fix tap',
+        project: 'House',
+        tags: ['home', 'diy']
+      });
+    });
+
+    it('keeps a lone # or @ in the name', () => {
+      expect(parse('email @ work # 2')).toMatchObject({ name: 'email @ work # 2', project: null, tags: [] });
+    });
+  });
+
+  describe('words that stay in the name', () => {
+    it('keeps plain words that come before the end of the name', () => {
+      expect(parse('monday standup notes')).toMatchObject({ name: 'monday standup notes', dueDate: null });
+      expect(parse('see you later alligator')).toMatchObject({ name: 'see you later alligator', timing: 'Today' });
+      expect(parse('tomorrow never dies')).toMatchObject({ name: 'tomorrow never dies', dueDate: null });
+      expect(parse('meet in 2 weeks time')).toMatchObject({ name: 'meet in 2 weeks time', dueDate: null });
+    });
+
+    it('still reads plain words after the name', () => {
+      expect(parse('monday standup notes later !need')).toMatchObject({
+        name: 'monday standup notes',
+        timing: 'Later',
+        type: 'Need'
+      });
+    });
+
+    it('keeps a word escaped with a backslash as typed', () => {
+      expect(parse('\\today show')).toMatchObject({ name: 'today show', timing: 'Today' });
+      expect(parse('watch \\later')).toMatchObject({ name: 'watch later', timing: 'Today', recognised: [] });
+      expect(parse('call \\#1 \\30m')).toMatchObject({ name: 'call #1 30m', tags: [], estimate: null });
+    });
+
+    it('returns an empty name when only recognised words were typed', () => {
+      expect(parse('tomorrow !need').name).toBe('');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Elo-style ranking built from "this or that" comparisons. Every task carries
+ * a rating; when the user prefers one task over another, the winner takes
+ * points from the loser, more so when the result was unexpected. Ratings only
+ * break ties between equal weights, so the scoring engine stays in charge.
+ */
+
+export const DEFAULT_RATING = 1000;
+
+// How far a single comparison can move a rating.
+const K_FACTOR = 32;
+
+export const getRating = task => (Number.isFinite(task.rating) ? task.rating : DEFAULT_RATING);
+
+const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+/**
+ * Returns the new [winner, loser] ratings after a comparison, rounded to
+ * whole points.
+ */
+export const applyComparison = (winnerRating, loserRating) => {
+  const change = K_FACTOR * (1 - expectedScore(winnerRating, loserRating));
+  return [Math.round(winnerRating + change), Math.round(loserRating - change)];
+};
+
+/**
+ * Returns the tasks with the ratings they have after the given comparisons
+ * (as [winnerId, loserId]), played in order. Tasks whose rating does not
+ * change are returned as is.
+ */
+export const applyComparisons = (tasks, comparisons) => {
+  const ratings = new Map(tasks.map(t => [t.id, getRating(t)]));
+  comparisons.forEach(([winnerId, loserId]) => {
+    if (!ratings.has(winnerId) || !ratings.has(loserId)) return;
+    const [winnerRating, loserRating] = applyComparison(ratings.get(winnerId), ratings.get(loserId));
+    ratings.set(winnerId, winnerRating);
+    ratings.set(loserId, loserRating);
+  });
+  return tasks.map(t => (ratings.get(t.id) === getRating(t) ? t : { ...t, rating: ratings.get(t.id) }));
+};
+
+/**
+ * Orders tasks by weight, then rating, then name.
+ */
+export const compareByPriority = (a, b) => {
+  if (b.weight !== a.weight) return b.weight - a.weight;
+  if (getRating(b) !== getRating(a)) return getRating(b) - getRating(a);
+  return a.name.localeCompare(b.name);
+};
+
+/**
+ * Orders tasks by rating alone, highest first, falling back on priority.
+ */
+export const compareByRating = (a, b) => getRating(b) - getRating(a) || compareByPriority(a, b);
+
+const pairKey = (a, b) => (a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`);
+
+/**
+ * Number of comparisons offered in a round of the given size: enough for
+ * every task to be seen a few times without asking about every pair.
+ */
+export const getComparisonCount = size => Math.min((size * (size - 1)) / 2, size * 2);
+
+/**
+ * Picks the next pair to compare from tasks, skipping pairs listed in played
+ * (as [idA, idB]). Tasks that have been compared least come first, and among
+ * those the closest ratings, since that is where a choice tells the most.
+ * Returns null when every pair has been played.
+ */
+export const getNextMatchup = (tasks, played) => {
+  const playedKeys = new Set(played.map(([a, b]) => pairKey({ id: a }, { id: b })));
+  const appearances = {};
+  played.forEach(([a, b]) => {
+    appearances[a] = (appearances[a] || 0) + 1;
+    appearances[b] = (appearances[b] || 0) + 1;
+  });
+  let best = null;
+  let bestScore = null;
+  for (let i = 0; i < tasks.length; i += 1) {
+    for (let j = i + 1; j < tasks.length; j += 1) {
+      const a = tasks[i];
+      const b = tasks[j];
+      if (!playedKeys.has(pairKey(a, b))) {
+        const score = [
+          (appearances[a.id] || 0) + (appearances[b.id] || 0),
+          Math.abs(getRating(a) - getRating(b))
+        ];
+        if (!bestScore || score[0] < bestScore[0] || (score[0] === bestScore[0] && score[1] < bestScore[1])) {
+          best = [a, b];
+          bestScore = score;
+        }
+      }
+    }
+  }
+  return best;
+};
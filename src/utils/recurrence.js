@@ -0,0 +1,136 @@
+/**
+ * Recurrence rules for repeating tasks. A rule is a plain object in one of
+ * three shapes:
+ *
+ *   { frequency: 'daily', interval: 2 }          every N days
+ *   { frequency: 'weekly', weekdays: [1, 3, 5] } on given weekdays (0 = Sunday)
+ *   { frequency: 'monthly', dayOfMonth: 15 }     on the Nth day of each month
+ *
+ * Everything here works on day keys (see utils/dates) and has no dependency on
+ * React or the device, so occurrences can be expanded and tested anywhere.
+ */
+import { addDays, formatDateKey } from './dates';
+import { getRating } from './ranking';
+import { resetSubtasks } from './subtasks';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const parseKey = dateKey => new Date(`${dateKey}T00:00:00Z`);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Whether the value is a usable recurrence rule.
+ */
+export const isValidRecurrence = rule => {
+  if (!rule || !FREQUENCIES.includes(rule.frequency)) return false;
+  if (rule.frequency === 'daily') {
+    return Number.isInteger(rule.interval) && rule.interval >= 1;
+  }
+  if (rule.frequency === 'weekly') {
+    return (
+      Array.isArray(rule.weekdays) &&
+      rule.weekdays.length > 0 &&
+      rule.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)
+    );
+  }
+  return Number.isInteger(rule.dayOfMonth) && rule.dayOfMonth >= 1 && rule.dayOfMonth <= 31;
+};
+
+/**
+ * Returns the first day key strictly after fromKey on which the rule fires.
+ * Monthly rules for days a month does not have (e.g. the 31st) fall on the
+ * last day of that month.
+ */
+export const getNextOccurrence = (rule, fromKey) => {
+  if (!isValidRecurrence(rule)) return null;
+  if (rule.frequency === 'daily') {
+    return addDays(fromKey, rule.interval);
+  }
+  if (rule.frequency === 'weekly') {
+    for (let i = 1; i <= 7; i += 1) {
+      const candidate = addDays(fromKey, i);
+      if (rule.weekdays.includes(parseKey(candidate).getUTCDay())) return candidate;
+    }
+    return null;
+  }
+  const from = parseKey(fromKey);
+  let year = from.getUTCFullYear();
+  let month = from.getUTCMonth();
+  if (Math.min(rule.dayOfMonth, daysInMonth(year, month)) <= from.getUTCDate()) {
+    month += 1;
+    if (month > 11) {
+      month = 0;
+      year += 1;
+    }
+  }
+  const day = Math.min(rule.dayOfMonth, daysInMonth(year, month));
+  return formatDateKey(year, month, day);
+};
+
+/**
+ * Expands the next `count` occurrences after fromKey.
+ */
+export const expandOccurrences = (rule, fromKey, count) => {
+  const occurrences = [];
+  let key = fromKey;
+  while (occurrences.length < count) {
+    key = getNextOccurrence(rule, key);
+    if (!key) break;
+    occurrences.push(key);
+  }
+  return occurrences;
+};
+
+/**
+ * Builds the next instance of a recurring task once the current one has been
+ * completed or dropped. The new task is due (and starts) on the next occurrence after
+ * whichever is later: today or the current instance's due date. Returns null
+ * for tasks without a valid rule. The caller is responsible for the weight.
+ */
+export const buildNextOccurrence = (task, todayKey, id, now = Date.now()) => {
+  const from = task.dueDate && task.dueDate > todayKey ? task.dueDate : todayKey;
+  const nextKey = getNextOccurrence(task.recurrence, from);
+  if (!nextKey) return null;
+  return {
+    id,
+    name: task.name,
+    type: task.type,
+    timing: task.timing,
+    boost: task.boost || 0,
+    recurrence: task.recurrence,
+    estimate: task.estimate || null,
+    rating: getRating(task),
+    project: task.project || null,
+    tags: task.tags || [],
+    subtasks: resetSubtasks(task.subtasks),
+    deferCount: 0,
+    dueDate: nextKey,
+    startAfter: nextKey,
+    completed: false,
+    todaySelected: false,
+    carriedSince: null,
+    carryBoost: 0,
+    outcome: null,
+    outcomeDate: null,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+/**
+ * Returns a short human readable description of a rule, e.g. "Every 2 days".
+ */
+export const describeRecurrence = rule => {
+  if (!isValidRecurrence(rule)) return '';
+  if (rule.frequency === 'daily') {
+    return rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+  }
+  if (rule.frequency === 'weekly') {
+    const days = [...rule.weekdays].sort((a, b) => a - b).map(d => WEEKDAY_NAMES[d]);
+    return `Every ${days.join(', ')}`;
+  }
+  return `Monthly on day ${rule.dayOfMonth}`;
+};
@@ -0,0 +1,125 @@
+import { buildNextOccurrence, expandOccurrences, getNextOccurrence } from './recurrence';
+
+const daily = interval => ({ frequency: 'daily', interval });
+const weekly = (...weekdays) => ({ frequency: 'weekly', weekdays });
+const monthly = dayOfMonth => ({ frequency: 'monthly', dayOfMonth });
+
+describe('getNextOccurrence', () => {
+  it('adds the interval for daily rules, across month and year ends', () => {
+    expect(getNextOccurrence(daily(1), '2026-10-19')).toBe('2026-10-20');
+    expect(getNextOccurrence(daily(3), '2026-12-30')).toBe('2027-01-02');
+  });
+
+  describe('weekly rules', () => {
+    it('finds the next listed weekday', () => {
+      // 2026-10-19 is a Monday.
+      expect(getNextOccurrence(weekly(1, 3, 5), '2026-10-19')).toBe('2026-10-21');
+      expect(getNextOccurrence(weekly(5, 1, 3), '2026-10-21')).toBe('2026-10-23');
+    });
+
+    it('wraps past Sunday into the next week', () => {
+      expect(getNextOccurrence(weekly(1, 3), '2026-10-23')).toBe('2026-10-26');
+      expect(getNextOccurrence(weekly(0), '2026-10-24')).toBe('2026-10-25');
+      expect(getNextOccurrence(weekly(6), '2026-10-25')).toBe('2026-10-31');
+    });
+
+    it('comes round to the same weekday a week later', () => {
+      expect(getNextOccurrence(weekly(1), '2026-10-19')).toBe('2026-10-26');
+    });
+  });
+
+  describe('monthly rules', () => {
+    it('falls later this month or on the day next month', () => {
+      expect(getNextOccurrence(monthly(25), '2026-10-19')).toBe('2026-10-25');
+      expect(getNextOccurrence(monthly(15), '2026-10-19')).toBe('2026-11-15');
+      expect(getNextOccurrence(monthly(19), '2026-10-19')).toBe('2026-11-19');
+      expect(getNextOccurrence(monthly(5), '2026-12-19')).toBe('2027-01-05');
+    });
+
+    it('moves the 31st to the last day of a 30-day month', () => {
+      expect(getNextOccurrence(monthly(31), '2026-10-31')).toBe('2026-11-30');
+      expect(getNextOccurrence(monthly(31), '2026-11-30')).toBe('2026-12-31');
+    });
+
+    it('moves the 29th to the 28th of February outside leap years', () => {
+      expect(getNextOccurrence(monthly(29), '2027-01-29')).toBe('2027-02-28');
+      expect(getNextOccurrence(monthly(29), '2027-02-28')).toBe('2027-03-29');
+    });
+
+    it('keeps the 29th of February in leap years', () => {
+      expect(getNextOccurrence(monthly(29), '2028-01-29')).toBe('2028-02-29');
+      expect(getNextOccurrence(monthly(31), '2028-01-31')).toBe('2028-02-29');
+    });
+  });
+
+  it('returns null for an invalid rule', () => {
+    expect(getNextOccurrence(null, '2026-10-19')).toBe(null);
+    expect(getNextOccurrence(weekly(), '2026-10-19')).toBe(null);
+    expect(getNextOccurrence(monthly(32), '2026-10-19')).toBe(null);
+  });
+});
+
+describe('expandOccurrences', () => {
+  it('lists the given number of occurrences in order', () => {
+    expect(expandOccurrences(monthly(31), '2026-12-31', 4)).toEqual([
+      '2027-01-31',
+      '2027-02-28',
+      '2027-03-31',
+      '2027-04-30'
+    ]);
+    expect(expandOccurrences(weekly(6, 0), '2026-10-23', 3)).toEqual(['2026-10-24', '2026-10-25', '2026-10-31']);
+  });
+
+  it('stops at the count', () => {
+    expect(expandOccurrences(daily(1), '2026-10-19', 0)).toEqual([]);
+    expect(expandOccurrences(daily(1), '2026-10-19', 1)).toEqual(['2026-10-20']);
+  });
+
+  it('expands nothing for an invalid rule', () => {
+    expect(expandOccurrences({ frequency: 'yearly' }, '2026-10-19', 5)).toEqual([]);
+  });
+});
+
+describe('buildNextOccurrence', () => {
+  const task = {
+    id: 'a',
+    name: 'Pay rent',
+    type: 'Need',
+    timing: 'Later',
+    boost: 1,
+    carryBoost: 2,
+    recurrence: monthly(1),
+    dueDate: '2026-10-01',
+    deferCount: 4,
+    completed: true,
+    outcome: 'done',
+    subtasks: [{ id: 's', name: 'Transfer', done: true }]
+  };
+
+  it('is due and starts on the next occurrence after today', () => {
+    expect(buildNextOccurrence(task, '2026-10-19', 'b', 0)).toMatchObject({
+      id: 'b',
+      dueDate: '2026-11-01',
+      startAfter: '2026-11-01'
+    });
+  });
+
+  it('counts from the due date when that is later than today', () => {
+    expect(buildNextOccurrence({ ...task, dueDate: '2026-11-01' }, '2026-10-19', 'b', 0).dueDate).toBe('2026-12-01');
+  });
+
+  it('starts afresh', () => {
+    expect(buildNextOccurrence(task, '2026-10-19', 'b', 0)).toMatchObject({
+      boost: 1,
+      carryBoost: 0,
+      deferCount: 0,
+      completed: false,
+      outcome: null,
+      subtasks: [{ id: 's', name: 'Transfer', done: false }]
+    });
+  });
+
+  it('returns null without a valid rule', () => {
+    expect(buildNextOccurrence({ ...task, recurrence: null }, '2026-10-19', 'b', 0)).toBe(null);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Planning of local reminders. From the tasks and settings this works out
+ * which notifications should be pending: a morning nudge to pick the day's
+ * tasks, an evening recap of what is still open on today's list, and a
+ * reminder on the due date of each task. The plan is plain data and the
+ * clock is passed in, so it can be checked anywhere; src/notifications hands
+ * it to the device.
+ *
+ * A reminder is { id, at, title, body, data }, where at is a timestamp and
+ * data says where opening it leads: { screen, params } for the navigator.
+ */
+import { addDays, getDateKey } from './dates';
+import { isOpenTask } from './outcomes';
+
+// Reminder settings, kept under settings.reminders. Times are "HH:MM" on the
+// wall clock; null turns that reminder off.
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  morning: '08:00',
+  evening: '20:00',
+  due: '09:00'
+};
+
+// Days ahead for which morning nudges and due date reminders are scheduled.
+// They are planned again whenever the app is opened.
+export const REMINDER_DAYS = 7;
+
+// iOS keeps at most 64 pending notifications per app.
+const MAX_REMINDERS = 60;
+
+// Tasks named in the evening recap before it says "and N more".
+const RECAP_NAMES = 3;
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Parses a time as typed by the user, e.g. "8", "8:30", "20.00" or "0830",
+ * into "HH:MM". Returns null for anything that is not a valid time.
+ */
+export const parseTime = text => {
+  const match = String(text)
+    .trim()
+    .match(/^(\d{1,2})(?:[:.h]?(\d{2}))?$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+/**
+ * Fills in missing reminder settings from the defaults and drops malformed
+ * times, e.g. for settings stored by an older version.
+ */
+export const normaliseReminderSettings = value => {
+  const stored = value && typeof value === 'object' ? value : {};
+  const time = key => {
+    if (stored[key] === null) return null;
+    return (typeof stored[key] === 'string' && parseTime(stored[key])) || DEFAULT_REMINDER_SETTINGS[key];
+  };
+  return { enabled: stored.enabled === true, morning: time('morning'), evening: time('evening'), due: time('due') };
+};
+
+/**
+ * The moment a wall clock time falls on for the given day. Times before the
+ * start of the day belong to the night after it, e.g. 01:00 on a day that
+ * starts at 4am is the following calendar date.
+ */
+export const getReminderTime = (dateKey, time, dayStartHour = 0) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const key = hours < dayStartHour ? addDays(dateKey, 1) : dateKey;
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+};
+
+const describeOpenTasks = tasks => {
+  const names = tasks.slice(0, RECAP_NAMES).map(t => t.name);
+  const more = tasks.length - names.length;
+  return more > 0 ? `${names.join(', ')} and ${more} more` : names.join(', ');
+};
+
+/**
+ * Returns the reminders that should be pending at the given moment, soonest
+ * first. Nothing is planned while reminders are turned off.
+ */
+export const planReminders = (tasks, settings, now = Date.now()) => {
+  const reminders = settings.reminders || DEFAULT_REMINDER_SETTINGS;
+  if (!reminders.enabled) return [];
+  const { dayStartHour } = settings;
+  const todayKey = getDateKey(new Date(now), dayStartHour);
+  const days = Array.from({ length: REMINDER_DAYS }, (_, i) => addDays(todayKey, i));
+  const planned = [];
+
+  if (reminders.morning) {
+    days.forEach(dateKey => {
+      planned.push({
+        id: `morning:${dateKey}`,
+        at: getReminderTime(dateKey, reminders.morning, dayStartHour),
+        title: 'Time to pick today’s tasks',
+        body: 'Go through your list and choose what to focus on today.',
+        data: { screen: 'Elimination', params: { replaceSelections: true } }
+      });
+    });
+  }
+
+  // Today's list stays as it is until the next elimination round, so the
+  // recap for the next evening can be written now.
+  const open = tasks.filter(t => t.todaySelected && !t.completed);
+  if (reminders.evening && open.length > 0) {
+    const tonight = getReminderTime(todayKey, reminders.evening, dayStartHour);
+    const dateKey = tonight > now ? todayKey : addDays(todayKey, 1);
+    planned.push({
+      id: `evening:${dateKey}`,
+      at: getReminderTime(dateKey, reminders.evening, dayStartHour),
+      title: open.length === 1 ? '1 task still open today' : `${open.length} tasks still open today`,
+      body: describeOpenTasks(open),
+      data: { screen: 'Main', params: { screen: 'Today' } }
+    });
+  }
+
+  if (reminders.due) {
+    tasks
+      .filter(t => isOpenTask(t) && t.dueDate && days.includes(t.dueDate))
+      .forEach(task => {
+        planned.push({
+          id: `due:${task.id}`,
+          at: getReminderTime(task.dueDate, reminders.due, dayStartHour),
+          title: 'Due today',
+          body: task.name,
+          data: { screen: 'Main', params: { screen: 'All Tasks', params: { taskId: task.id } } }
+        });
+      });
+  }
+
+  return planned
+    .filter(r => r.at > now)
+    .sort((a, b) => a.at - b.at)
+    .slice(0, MAX_REMINDERS);
+};
@@ -0,0 +1,59 @@
+/**
+ * Carrying unfinished tasks over to a new day. Tasks still on the Today list
+ * when a day ends roll over to the next, and settings.rolloverPolicy decides
+ * what happens to them:
+ *
+ *   'all'        every unfinished task stays on today's list
+ *   'essential'  only Need and Both tasks stay; Want tasks go back to the list
+ *   'bump'       every task stays and its carry-over bump goes up by one
+ *   'deck'       every task leaves today's list and leads the next
+ *                elimination round, so it has to be chosen again
+ *
+ * A carried task remembers the day it was first left unfinished
+ * (carriedSince), so the morning summary can say how long it has lingered.
+ * The carry-over bump (carryBoost) scores like the manual boost but is kept
+ * apart from it, and goes once the task is completed, dropped or chosen for
+ * today again.
+ */
+import { daysBetween } from './dates';
+import { MAX_BOOST } from './scoring';
+import { isOpenTask } from './outcomes';
+
+export const ROLLOVER_POLICIES = ['all', 'essential', 'bump', 'deck'];
+
+/**
+ * Days the task has been carried over, e.g. 1 for a task left unfinished
+ * yesterday; 0 for a task that is not being carried.
+ */
+export const getDaysCarried = (task, todayKey) => (task.carriedSince ? daysBetween(task.carriedSince, todayKey) : 0);
+
+/**
+ * What the policy does with a carried task: 'kept', 'boosted', 'unselected'
+ * (back to the list) or 'deck' (back into the elimination deck).
+ */
+export const getRolloverOutcome = (task, policy) => {
+  if (policy === 'essential') return task.type === 'Want' ? 'unselected' : 'kept';
+  if (policy === 'bump') return 'boosted';
+  if (policy === 'deck') return 'deck';
+  return 'kept';
+};
+
+/**
+ * Applies an outcome to a carried task. The weight is not recomputed here.
+ */
+export const applyRolloverOutcome = (task, outcome) => {
+  if (outcome === 'boosted') return { ...task, carryBoost: Math.min((task.carryBoost || 0) + 1, MAX_BOOST) };
+  if (outcome === 'unselected' || outcome === 'deck') return { ...task, todaySelected: false };
+  return task;
+};
+
+/**
+ * Returns the task without its carry-over bump.
+ */
+export const clearCarryBoost = task => (task.carryBoost ? { ...task, carryBoost: 0 } : task);
+
+/**
+ * Whether the task was sent back to the elimination deck by the 'deck'
+ * policy and has not been chosen again since.
+ */
+export const isAwaitingDeck = task => !!task.carriedSince && !task.todaySelected && isOpenTask(task);
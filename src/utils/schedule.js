@@ -0,0 +1,24 @@
+/**
+ * Helpers for the optional scheduling fields on a task. dueDate is the day a
+ * task must be done by; startAfter is the first day it should be considered
+ * at all. Both are day keys (see utils/dates) or null.
+ */
+import { isOpenTask } from './outcomes';
+
+/**
+ * Whether the task is past its due date. Completed and dropped tasks are
+ * never overdue.
+ */
+export const isOverdue = (task, todayKey) => isOpenTask(task) && !!task.dueDate && task.dueDate < todayKey;
+
+/**
+ * Whether the task has reached its start date (or has none).
+ */
+export const hasStarted = (task, todayKey) => !task.startAfter || task.startAfter <= todayKey;
+
+/**
+ * Returns the timing a task should be scored and presented with. A task that
+ * has fallen due counts as "Today" whatever its stored timing says.
+ */
+export const getEffectiveTiming = (task, todayKey) =>
+  task.dueDate && task.dueDate <= todayKey ? 'Today' : task.timing;
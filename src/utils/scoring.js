@@ -0,0 +1,99 @@
+/**
+ * Priority scoring engine. A task's weight is the product of its type and
+ * timing weights, plus a handful of additive signals (age, deferrals, due
+ * date closeness, a manual boost and any carry-over bump). Every factor is
+ * read from a config object so the weights can be tuned from the Settings
+ * screen. This module is deliberately free of React so it can be reused and
+ * tested on its own.
+ */
+import { daysBetween, getDateKey } from './dates';
+import { getEffectiveTiming } from './schedule';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Highest manual boost a task can have.
+export const MAX_BOOST = 3;
+
+export const DEFAULT_SCORING_CONFIG = {
+  typeWeights: {
+    Want: 1,
+    Need: 2,
+    Both: 3
+  },
+  timingWeights: {
+    Today: 2,
+    Later: 1
+  },
+  // Points added per week since the task was created, capped at ageCap.
+  agePerWeek: 0.5,
+  ageCap: 2,
+  // Points added for every time the task was deferred during elimination.
+  deferralWeight: 0.5,
+  // Maximum points for a task that is due today or overdue. Tasks due within
+  // dueWindowDays receive a linearly decreasing share of it.
+  dueWeight: 3,
+  dueWindowDays: 7,
+  // Multiplier for the manual boost set on a task (0-3), also applied to the
+  // bump a task gets for being carried over (see utils/rollover).
+  boostWeight: 1
+};
+
+/**
+ * Merges a (possibly partial or outdated) config with the defaults so that
+ * newly introduced keys always have a value.
+ */
+export const normaliseScoringConfig = (config = {}) => ({
+  ...DEFAULT_SCORING_CONFIG,
+  ...config,
+  typeWeights: { ...DEFAULT_SCORING_CONFIG.typeWeights, ...(config.typeWeights || {}) },
+  timingWeights: { ...DEFAULT_SCORING_CONFIG.timingWeights, ...(config.timingWeights || {}) }
+});
+
+/**
+ * Returns a value between 0 and 1 describing how close a task is to its due
+ * date: 1 when due today or overdue, 0 when it has no due date or is further
+ * away than the configured window.
+ */
+const dueCloseness = (task, config, todayKey) => {
+  if (!task.dueDate) return 0;
+  const daysLeft = daysBetween(todayKey, task.dueDate);
+  if (Number.isNaN(daysLeft)) return 0;
+  if (daysLeft <= 0) return 1;
+  if (!config.dueWindowDays || daysLeft >= config.dueWindowDays) return 0;
+  return 1 - daysLeft / config.dueWindowDays;
+};
+
+// A type or timing weight; 0 is a valid weight that zeroes the product, so
+// only a missing one falls back to 1.
+const factor = (weights, key) => (weights[key] === undefined ? 1 : weights[key]);
+
+/**
+ * Computes the weight of a task for the given scoring config. A task that has
+ * fallen due is scored as "Today". The result is rounded to one decimal place
+ * so that it stays readable in the UI. dayStartHour is the user's rollover
+ * hour, used to work out which day "now" belongs to.
+ */
+export const computeWeight = (task, config = DEFAULT_SCORING_CONFIG, now = Date.now(), dayStartHour = 0) => {
+  const todayKey = getDateKey(new Date(now), dayStartHour);
+  let score = factor(config.typeWeights, task.type) * factor(config.timingWeights, getEffectiveTiming(task, todayKey));
+
+  if (task.createdAt) {
+    const ageWeeks = Math.max(0, now - task.createdAt) / (7 * DAY_MS);
+    score += Math.min(ageWeeks * config.agePerWeek, config.ageCap);
+  }
+  score += (task.deferCount || 0) * config.deferralWeight;
+  score += dueCloseness(task, config, todayKey) * config.dueWeight;
+  score += ((task.boost || 0) + (task.carryBoost || 0)) * config.boostWeight;
+
+  return Math.round(score * 10) / 10;
+};
+
+/**
+ * Returns the tasks with their weights recalculated. Tasks whose weight does
+ * not change are returned as is, so only the changed ones need saving.
+ */
+export const rescoreTasks = (tasks, config = DEFAULT_SCORING_CONFIG, now = Date.now(), dayStartHour = 0) =>
+  tasks.map(t => {
+    const weight = computeWeight(t, config, now, dayStartHour);
+    return weight === t.weight ? t : { ...t, weight };
+  });
@@ -0,0 +1,27 @@
+import { DEFAULT_SCORING_CONFIG, computeWeight, normaliseScoringConfig } from './scoring';
+
+const NOW = new Date(2026, 9, 19, 12).getTime();
+
+const task = overrides => ({ type: 'Need', timing: 'Later', createdAt: NOW, ...overrides });
+
+describe('computeWeight', () => {
+  it('multiplies the type and timing weights', () => {
+    expect(computeWeight(task(), DEFAULT_SCORING_CONFIG, NOW)).toBe(2);
+    expect(computeWeight(task({ type: 'Both', timing: 'Today' }), DEFAULT_SCORING_CONFIG, NOW)).toBe(6);
+  });
+
+  it('keeps a weight of 0 rather than falling back to 1', () => {
+    const config = normaliseScoringConfig({ typeWeights: { Need: 0 }, timingWeights: { Today: 0 } });
+    expect(computeWeight(task(), config, NOW)).toBe(0);
+    expect(computeWeight(task({ type: 'Want', timing: 'Today' }), config, NOW)).toBe(0);
+    expect(computeWeight(task({ boost: 2 }), config, NOW)).toBe(2);
+  });
+
+  it('adds the carry-over bump like the manual boost', () => {
+    expect(computeWeight(task({ boost: 1, carryBoost: 2 }), DEFAULT_SCORING_CONFIG, NOW)).toBe(5);
+  });
+
+  it('falls back to 1 for a type with no weight', () => {
+    expect(computeWeight(task({ type: 'Unknown' }), DEFAULT_SCORING_CONFIG, NOW)).toBe(1);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Statistics derived from the daily journal (see utils/history). All
+ * functions are pure and take "today" as an argument.
+ */
+import { addDays } from './dates';
+
+const TYPES = ['Want', 'Need', 'Both'];
+
+const completedCount = (history, dateKey) => (history[dateKey] ? history[dateKey].completed.length : 0);
+
+/**
+ * Returns the current and longest run of consecutive days with at least one
+ * completed task. The current streak still counts if today has nothing
+ * completed yet but yesterday did.
+ */
+export const getStreaks = (history, todayKey) => {
+  const days = Object.keys(history)
+    .filter(key => completedCount(history, key) > 0)
+    .sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  days.forEach(key => {
+    run = previous && addDays(previous, 1) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = key;
+  });
+
+  let current = 0;
+  let cursor = completedCount(history, todayKey) > 0 ? todayKey : addDays(todayKey, -1);
+  while (completedCount(history, cursor) > 0) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+  return { current, longest };
+};
+
+/**
+ * Returns, per task type, how many tasks were selected for a day and how many
+ * of those were completed on that same day, along with the rate (0-1, or null
+ * when nothing of that type was ever selected).
+ */
+export const getCompletionRateByType = history => {
+  const totals = TYPES.reduce((acc, type) => ({ ...acc, [type]: { selected: 0, completed: 0 } }), {});
+  Object.values(history).forEach(entry => {
+    const completedIds = new Set(entry.completed.map(item => item.id));
+    entry.selected.forEach(item => {
+      if (!totals[item.type]) return;
+      totals[item.type].selected += 1;
+      if (completedIds.has(item.id)) totals[item.type].completed += 1;
+    });
+  });
+  return TYPES.reduce((acc, type) => {
+    const { selected, completed } = totals[type];
+    return { ...acc, [type]: { selected, completed, rate: selected ? completed / selected : null } };
+  }, {});
+};
+
+/**
+ * Returns the selected and completed counts for each of the last `days` days,
+ * oldest first. Days without an entry count as zero.
+ */
+export const getDailyCounts = (history, todayKey, days) => {
+  const counts = [];
+  for (let i = days - 1; i >= 0; i -= 1) {
+    const date = addDays(todayKey, -i);
+    const entry = history[date];
+    counts.push({
+      date,
+      selected: entry ? entry.selected.length : 0,
+      completed: entry ? entry.completed.length : 0
+    });
+  }
+  return counts;
+};
+
+/**
+ * Returns the average number of tasks selected and completed per day over the
+ * last `days` days.
+ */
+export const getAverages = (history, todayKey, days) => {
+  const counts = getDailyCounts(history, todayKey, days);
+  const sum = key => counts.reduce((total, day) => total + day[key], 0);
+  return {
+    selected: sum('selected') / days,
+    completed: sum('completed') / days
+  };
+};
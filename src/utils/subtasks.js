@@ -0,0 +1,66 @@
+/**
+ * Checklists of subtasks. A task's subtasks are an ordered list of
+ * { id, name, done } steps; progress is shown as "2/5" and, depending on
+ * settings.subtaskCompletion, finishing the last step completes the task
+ * ('auto') or asks first ('prompt').
+ */
+
+export const SUBTASK_COMPLETION_MODES = ['prompt', 'auto'];
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Cleans a list of subtasks from storage or an import: drops entries without
+ * an id or name, trims names and makes done a boolean. Anything that is not
+ * an array yields an empty list.
+ */
+export const normaliseSubtasks = value =>
+  Array.isArray(value)
+    ? value
+        .filter(s => s && isNonEmptyString(s.id) && isNonEmptyString(s.name))
+        .map(s => ({ id: s.id, name: s.name.trim(), done: s.done === true }))
+    : [];
+
+/**
+ * Returns { done, total } for a task with subtasks, or null without any.
+ */
+export const getSubtaskProgress = task => {
+  const subtasks = task.subtasks || [];
+  if (subtasks.length === 0) return null;
+  return { done: subtasks.filter(s => s.done).length, total: subtasks.length };
+};
+
+export const formatSubtaskProgress = ({ done, total }) => `${done}/${total}`;
+
+export const areAllSubtasksDone = task => {
+  const progress = getSubtaskProgress(task);
+  return !!progress && progress.done === progress.total;
+};
+
+/**
+ * Whether ticking off the given subtask finishes the checklist.
+ */
+export const isLastOpenSubtask = (task, subtaskId) => {
+  const open = (task.subtasks || []).filter(s => !s.done);
+  return open.length === 1 && open[0].id === subtaskId;
+};
+
+export const toggleSubtask = (subtasks, subtaskId) =>
+  subtasks.map(s => (s.id === subtaskId ? { ...s, done: !s.done } : s));
+
+/**
+ * Moves the subtask at index by offset (-1 up, 1 down), if there is room.
+ */
+export const moveSubtask = (subtasks, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= subtasks.length) return subtasks;
+  const moved = [...subtasks];
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+};
+
+/**
+ * The same checklist with every step open again, for the next occurrence of
+ * a recurring task.
+ */
+export const resetSubtasks = subtasks => (subtasks || []).map(s => ({ ...s, done: false }));
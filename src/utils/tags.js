@@ -0,0 +1,86 @@
+/**
+ * Projects and tags. A task belongs to at most one project (e.g. "Work") and
+ * can carry any number of tags (e.g. "errand", "calls"). Both are free text;
+ * they are compared without regard to case, and the spelling first used is
+ * kept.
+ */
+
+// Projects and tags longer than this are cut short.
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Trims a project or tag name and collapses inner whitespace. Returns null
+ * for anything that is not a non-empty string.
+ */
+export const normaliseLabel = value => {
+  if (typeof value !== 'string') return null;
+  const label = value.trim().replace(/\s+/g, ' ').slice(0, MAX_LABEL_LENGTH);
+  return label || null;
+};
+
+const sameLabel = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const uniqueLabels = labels =>
+  labels.reduce((acc, label) => (acc.some(l => sameLabel(l, label)) ? acc : [...acc, label]), []);
+
+/**
+ * Cleans a list of tags: normalised, without duplicates or blanks. Anything
+ * that is not an array yields an empty list.
+ */
+export const normaliseTags = value =>
+  Array.isArray(value) ? uniqueLabels(value.map(normaliseLabel).filter(Boolean)) : [];
+
+/**
+ * Parses comma separated tags as typed by the user, e.g. "calls, errand".
+ * A leading # on a tag is dropped.
+ */
+export const parseTags = text => normaliseTags(text.split(',').map(tag => tag.replace(/^\s*#/, '')));
+
+export const formatTags = tags => tags.join(', ');
+
+const collectLabels = values => uniqueLabels(values.filter(Boolean)).sort((a, b) => a.localeCompare(b));
+
+/**
+ * Every project used by the given tasks, in alphabetical order.
+ */
+export const getAllProjects = tasks => collectLabels(tasks.map(t => t.project));
+
+/**
+ * Every tag used by the given tasks, in alphabetical order.
+ */
+export const getAllTags = tasks => collectLabels(tasks.flatMap(t => t.tags || []));
+
+export const hasTag = (task, tag) => (task.tags || []).some(t => sameLabel(t, tag));
+
+export const isInProject = (task, project) => !!task.project && sameLabel(task.project, project);
+
+/**
+ * A filter on projects and tags: { projects: [], tags: [] }. An empty list
+ * places no restriction; otherwise the task must be in one of the projects
+ * and carry at least one of the tags.
+ */
+export const EMPTY_LABEL_FILTER = { projects: [], tags: [] };
+
+export const isLabelFilterEmpty = filter =>
+  !filter || ((filter.projects || []).length === 0 && (filter.tags || []).length === 0);
+
+export const matchesLabelFilter = (task, filter) => {
+  if (isLabelFilterEmpty(filter)) return true;
+  const projects = filter.projects || [];
+  const tags = filter.tags || [];
+  return (
+    (projects.length === 0 || projects.some(p => isInProject(task, p))) &&
+    (tags.length === 0 || tags.some(tag => hasTag(task, tag)))
+  );
+};
+
+/**
+ * Describes a filter for display, e.g. "Work · #calls, #errand".
+ */
+export const describeLabelFilter = filter => {
+  if (isLabelFilterEmpty(filter)) return 'All tasks';
+  const parts = [];
+  if (filter.projects.length) parts.push(filter.projects.join(', '));
+  if (filter.tags.length) parts.push(filter.tags.map(tag => `#${tag}`).join(', '));
+  return parts.join(' · ');
+};
@@ -0,0 +1,113 @@
+/**
+ * Searching, filtering, sorting and grouping for the All Tasks list. A query
+ * is a plain object so the screen can keep it in state and reset it in one go:
+ *
+ *   { search, types, timings, status, selectedOnly, projects, tags, sort, groupBy }
+ *
+ * Empty type, timing, project and tag lists mean "any"; status is 'all',
+ * 'pending' or 'completed'; groupBy is 'none' or 'project'.
+ */
+import { compareByPriority } from './ranking';
+import { isLabelFilterEmpty, matchesLabelFilter } from './tags';
+import { isOpenTask } from './outcomes';
+import { getEffectiveTiming } from './schedule';
+
+const compareByName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+// Available sorts, in the order they are offered. Ties fall back on name.
+export const TASK_SORTS = {
+  weight: { label: 'Weight', compare: compareByPriority },
+  name: { label: 'Name', compare: compareByName },
+  // Oldest first, so long-neglected tasks surface.
+  age: { label: 'Age', compare: (a, b) => a.createdAt - b.createdAt || compareByName(a, b) },
+  updated: { label: 'Last updated', compare: (a, b) => b.updatedAt - a.updatedAt || compareByName(a, b) }
+};
+
+export const DEFAULT_TASK_QUERY = {
+  search: '',
+  types: [],
+  timings: [],
+  status: 'all',
+  selectedOnly: false,
+  projects: [],
+  tags: [],
+  sort: 'weight',
+  groupBy: 'none'
+};
+
+/**
+ * Whether any filter narrows the list. The sort and grouping do not count.
+ */
+export const isFiltered = query =>
+  query.search.trim() !== '' ||
+  query.types.length > 0 ||
+  query.timings.length > 0 ||
+  query.status !== 'all' ||
+  query.selectedOnly ||
+  !isLabelFilterEmpty(query);
+
+/**
+ * Case-insensitive match of every word of the search text against the name,
+ * project and tags.
+ */
+const matchesSearch = (task, search) => {
+  const text = [task.name, task.project || '', ...(task.tags || [])].join(' ').toLowerCase();
+  return search
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every(word => text.includes(word));
+};
+
+/**
+ * Whether a task matches every filter of the query. Timing is matched as the
+ * task is presented on todayKey, so a task that has fallen due counts as
+ * "Today".
+ */
+export const matchesQuery = (task, query, todayKey) =>
+  matchesSearch(task, query.search) &&
+  (query.types.length === 0 || query.types.includes(task.type)) &&
+  (query.timings.length === 0 || query.timings.includes(getEffectiveTiming(task, todayKey))) &&
+  (query.status === 'all' || isOpenTask(task) === (query.status === 'pending')) &&
+  (!query.selectedOnly || task.todaySelected) &&
+  matchesLabelFilter(task, query);
+
+/**
+ * Applies a query to the task list, returning the matching pending and
+ * completed tasks separately, each in the chosen order. Dropped tasks count
+ * as completed here, as they are no longer to be done. todayKey is the
+ * current day, which due dates are compared with.
+ */
+export const queryTasks = (tasks, query, todayKey) => {
+  const { compare } = TASK_SORTS[query.sort] || TASK_SORTS[DEFAULT_TASK_QUERY.sort];
+  const matching = tasks.filter(task => matchesQuery(task, query, todayKey)).sort(compare);
+  return {
+    pending: matching.filter(isOpenTask),
+    completed: matching.filter(t => !isOpenTask(t))
+  };
+};
+
+/**
+ * Splits tasks into one group per project, in alphabetical order, keeping
+ * the order of the tasks within each group. Tasks without a project come
+ * last, under a null project.
+ */
+export const groupByProject = tasks => {
+  const groups = new Map();
+  tasks.forEach(task => {
+    const key = task.project ? task.project.toLowerCase() : null;
+    if (!groups.has(key)) groups.set(key, { project: task.project || null, tasks: [] });
+    groups.get(key).tasks.push(task);
+  });
+  return Array.from(groups.values()).sort((a, b) => {
+    if (!a.project || !b.project) return a.project ? -1 : 1;
+    return a.project.localeCompare(b.project);
+  });
+};
+
+/**
+ * Adds value to list, or removes it if already present. Used by the
+ * multi-select filter chips.
+ */
+export const toggleValue = (list, value) =>
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value];
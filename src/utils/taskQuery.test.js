@@ -0,0 +1,18 @@
+import { DEFAULT_TASK_QUERY, queryTasks } from './taskQuery';
+
+const task = (id, timing, extras = {}) => ({ id, name: id, type: 'Need', timing, weight: 1, rating: 1000, ...extras });
+
+describe('queryTasks', () => {
+  const tasks = [task('later', 'Later'), task('today', 'Today'), task('due', 'Later', { dueDate: '2026-10-19' })];
+
+  it('filters on the timing a task has today, counting due tasks as Today', () => {
+    const query = { ...DEFAULT_TASK_QUERY, timings: ['Today'], sort: 'name' };
+    expect(queryTasks(tasks, query, '2026-10-19').pending.map(t => t.id)).toEqual(['due', 'today']);
+    expect(queryTasks(tasks, query, '2026-10-18').pending.map(t => t.id)).toEqual(['today']);
+  });
+
+  it('leaves tasks that have fallen due out of the Later filter', () => {
+    const query = { ...DEFAULT_TASK_QUERY, timings: ['Later'], sort: 'name' };
+    expect(queryTasks(tasks, query, '2026-10-19').pending.map(t => t.id)).toEqual(['later']);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Export and import of the task list. Exports come in two formats: a
+ * versioned JSON document holding full task records, and a flat CSV file for
+ * spreadsheets. Imports accept either, validate every record and are planned
+ * against the current list before anything is applied.
+ */
+import { parseCSV, toCSV } from './csv';
+import { validateTask } from './validation';
+import { formatTags, parseTags } from './tags';
+
+export const EXPORT_FORMAT = 'to-do-or-not-to-do';
+export const EXPORT_VERSION = 1;
+
+// Columns of the CSV export, in order.
+export const CSV_COLUMNS = [
+  'id',
+  'name',
+  'type',
+  'timing',
+  'completed',
+  'todaySelected',
+  'createdAt',
+  'updatedAt',
+  'boost',
+  'deferCount',
+  'dueDate',
+  'startAfter',
+  'recurrence',
+  'estimate',
+  'actualMinutes',
+  'rating',
+  'project',
+  'tags',
+  'subtasks',
+  'outcome',
+  'outcomeDate',
+  'carriedSince',
+  'carryBoost'
+];
+
+// Derived or bulky fields that are not exported.
+const OMITTED_FIELDS = ['weight', 'decisions'];
+
+const stripDerived = task => {
+  const copy = { ...task };
+  OMITTED_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Serialises the tasks into the versioned JSON export format.
+ */
+export const exportTasksToJSON = (tasks, now = Date.now()) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date(now).toISOString(),
+      tasks: tasks.map(stripDerived)
+    },
+    null,
+    2
+  );
+
+const toCSVValue = (task, column) => {
+  const value = task[column];
+  if (value === null || value === undefined) return '';
+  if (column === 'createdAt' || column === 'updatedAt') return new Date(value).toISOString();
+  if (column === 'recurrence' || column === 'subtasks') return JSON.stringify(value);
+  if (column === 'tags') return formatTags(value);
+  return value;
+};
+
+/**
+ * Serialises the tasks into CSV with a header row. Timestamps are written as
+ * ISO 8601 strings, recurrence rules and subtasks as JSON and tags comma
+ * separated.
+ */
+export const exportTasksToCSV = tasks =>
+  toCSV([CSV_COLUMNS, ...tasks.map(task => CSV_COLUMNS.map(column => toCSVValue(task, column)))]);
+
+const fromCSVValue = (column, text) => {
+  if (text === '') return undefined;
+  switch (column) {
+    case 'completed':
+    case 'todaySelected':
+      return text.toLowerCase() === 'true';
+    case 'createdAt':
+    case 'updatedAt':
+      return Date.parse(text);
+    case 'boost':
+    case 'carryBoost':
+    case 'deferCount':
+    case 'estimate':
+    case 'actualMinutes':
+    case 'rating':
+      return Number(text);
+    case 'tags':
+      return parseTags(text);
+    case 'recurrence':
+    case 'subtasks':
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        return undefined;
+      }
+    default:
+      return text;
+  }
+};
+
+const parseCSVRecords = text => {
+  const [header, ...rows] = parseCSV(text);
+  if (!header || !header.includes('name')) {
+    throw new Error('The CSV file needs a header row with at least a "name" column.');
+  }
+  return rows.map(row => {
+    const record = {};
+    header.forEach((column, index) => {
+      const value = fromCSVValue(column.trim(), (row[index] || '').trim());
+      if (value !== undefined) record[column.trim()] = value;
+    });
+    return record;
+  });
+};
+
+const parseJSONRecords = text => {
+  const parsed = JSON.parse(text);
+  if (Array.isArray(parsed)) return parsed;
+  if (!parsed || parsed.format !== EXPORT_FORMAT || !Array.isArray(parsed.tasks)) {
+    throw new Error('This file is not a task export.');
+  }
+  if (parsed.version > EXPORT_VERSION) {
+    throw new Error('This export was made by a newer version of the app.');
+  }
+  return parsed.tasks;
+};
+
+/**
+ * Parses the contents of an export file. The format is detected from the
+ * content. Records without an id are given one with createId so they are
+ * imported as new tasks. Returns the valid tasks and a list of per-record
+ * errors; throws if the file as a whole cannot be understood.
+ */
+export const parseImport = (text, createId, now = Date.now()) => {
+  const trimmed = text.trim();
+  const isJSON = trimmed.startsWith('{') || trimmed.startsWith('[');
+  const records = isJSON ? parseJSONRecords(trimmed) : parseCSVRecords(trimmed);
+  const tasks = [];
+  const errors = [];
+  const seen = new Set();
+  records.forEach((record, index) => {
+    const withId = record && typeof record === 'object' && !record.id ? { ...record, id: createId() } : record;
+    const { task, errors: recordErrors } = validateTask(withId, now);
+    const label = isJSON ? `Task ${index + 1}` : `Row ${index + 2}`;
+    if (!task) {
+      errors.push(`${label}: ${recordErrors.join(', ')}`);
+    } else if (seen.has(task.id)) {
+      errors.push(`${label}: Duplicate id "${task.id}"`);
+    } else {
+      seen.add(task.id);
+      tasks.push(task);
+    }
+  });
+  return { tasks, errors };
+};
+
+/**
+ * Compares incoming tasks with the current list by id. Returns the tasks
+ * that would be added and those that would overwrite an existing task.
+ */
+export const planImport = (existing, incoming) => {
+  const existingIds = new Set(existing.map(t => t.id));
+  return {
+    added: incoming.filter(t => !existingIds.has(t.id)),
+    conflicting: incoming.filter(t => existingIds.has(t.id))
+  };
+};
@@ -0,0 +1,37 @@
+import { exportTasksToCSV, exportTasksToJSON, parseImport } from './taskTransfer';
+
+const NOW = new Date(2026, 9, 19, 12).getTime();
+
+const carried = {
+  id: 'a',
+  name: 'Pay bills',
+  type: 'Need',
+  timing: 'Later',
+  todaySelected: true,
+  createdAt: NOW,
+  updatedAt: NOW,
+  carriedSince: '2026-10-17',
+  carryBoost: 2
+};
+
+const createId = () => 'new';
+
+describe('CSV export', () => {
+  it('keeps the carry-over fields through a round trip', () => {
+    const { tasks, errors } = parseImport(exportTasksToCSV([carried]), createId, NOW);
+    expect(errors).toEqual([]);
+    expect(tasks[0]).toMatchObject({ todaySelected: true, carriedSince: '2026-10-17', carryBoost: 2 });
+  });
+
+  it('reads older exports without them as not carried', () => {
+    const { tasks } = parseImport('name,type,timing\nPay bills,Need,Later', createId, NOW);
+    expect(tasks[0]).toMatchObject({ id: 'new', carriedSince: null, carryBoost: 0 });
+  });
+});
+
+describe('JSON export', () => {
+  it('keeps the carry-over fields through a round trip', () => {
+    const { tasks } = parseImport(exportTasksToJSON([carried], NOW), createId, NOW);
+    expect(tasks[0]).toMatchObject({ carriedSince: '2026-10-17', carryBoost: 2 });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Helpers for the undo/redo history kept by the task store. Each entry holds
+ * the kind of change, the names of the tasks involved and a snapshot of the
+ * state from before the change. Changes dispatched in the same batch, such as
+ * every outcome recorded by the end-of-day review, are merged into a single
+ * entry.
+ */
+
+// Oldest entries are dropped beyond this many undo steps.
+export const UNDO_LIMIT = 50;
+
+const MESSAGES = {
+  add: { one: name => `Added "${name}"`, many: n => `Added ${n} tasks` },
+  update: { one: name => `Edited "${name}"`, many: n => `Edited ${n} tasks` },
+  remove: { one: name => `Deleted "${name}"`, many: n => `Deleted ${n} tasks` },
+  complete: { one: name => `Completed "${name}"`, many: n => `Completed ${n} tasks` },
+  uncomplete: { one: name => `Reopened "${name}"`, many: n => `Reopened ${n} tasks` },
+  defer: { one: name => `Deferred "${name}"`, many: n => `Deferred ${n} tasks` },
+  drop: { one: name => `Dropped "${name}"`, many: n => `Dropped ${n} tasks` },
+  reopen: { one: name => `Reopened "${name}"`, many: n => `Reopened ${n} tasks` },
+  select: { one: name => `Added "${name}" to today`, many: n => `Added ${n} tasks to today` },
+  deselect: { one: name => `Removed "${name}" from today`, many: n => `Removed ${n} tasks from today` },
+  clear: { one: name => `Cleared "${name}" from today`, many: n => `Cleared ${n} tasks from today` }
+};
+
+// Kinds of change after which the Undo snackbar is offered.
+const DESTRUCTIVE_KINDS = ['remove', 'complete', 'drop', 'clear'];
+
+/**
+ * Creates a new undo entry for a change of the given kind to the named tasks.
+ */
+export const createUndoEntry = (kind, names, snapshot, batch) => ({ kinds: [kind], names, snapshot, batch });
+
+/**
+ * Adds another change to an entry, keeping the original snapshot.
+ */
+export const mergeUndoEntry = (entry, kind, names) => ({
+  ...entry,
+  kinds: entry.kinds.includes(kind) ? entry.kinds : [...entry.kinds, kind],
+  names: [...entry.names, ...names]
+});
+
+/**
+ * Returns a short description of the entry for the snackbar, e.g.
+ * 'Deleted "Pay bills"' or "Completed 3 tasks".
+ */
+export const describeUndoEntry = entry => {
+  if (entry.kinds.length > 1) return `${entry.names.length} changes`;
+  const messages = MESSAGES[entry.kinds[0]];
+  return entry.names.length === 1 ? messages.one(entry.names[0]) : messages.many(entry.names.length);
+};
+
+/**
+ * Whether the entry contains a change the user may want to take back quickly.
+ */
+export const isDestructiveEntry = entry => entry.kinds.some(kind => DESTRUCTIVE_KINDS.includes(kind));
@@ -0,0 +1,84 @@
+/**
+ * Validation of task records coming from storage or imports. Required fields
+ * that are missing or malformed make a record invalid; optional fields are
+ * repaired to their defaults so older or hand-edited records still load.
+ */
+import { isValidDateKey } from './dates';
+import { isValidRecurrence } from './recurrence';
+import { isValidMinutes } from './estimates';
+import { DEFAULT_RATING } from './ranking';
+import { normaliseLabel, normaliseTags } from './tags';
+import { normaliseSubtasks } from './subtasks';
+import { DAY_OUTCOMES } from './outcomes';
+
+export const TASK_TYPES = ['Want', 'Need', 'Both'];
+export const TIMINGS = ['Today', 'Later'];
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+const isTimestamp = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validates a single task record. Returns { task, errors }: task is the
+ * repaired record, or null when the record cannot be used, in which case
+ * errors explains why.
+ */
+export const validateTask = (raw, now = Date.now()) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { task: null, errors: ['Record is not an object'] };
+  }
+  const errors = [];
+  if (!isNonEmptyString(raw.id)) errors.push('Missing id');
+  if (!isNonEmptyString(raw.name)) errors.push('Missing name');
+  if (!TASK_TYPES.includes(raw.type)) errors.push(`Unknown type "${raw.type}"`);
+  if (!TIMINGS.includes(raw.timing)) errors.push(`Unknown timing "${raw.timing}"`);
+  if (errors.length) return { task: null, errors };
+
+  const createdAt = isTimestamp(raw.createdAt) ? raw.createdAt : now;
+  const task = {
+    ...raw,
+    completed: raw.completed === true,
+    todaySelected: raw.todaySelected === true,
+    createdAt,
+    updatedAt: isTimestamp(raw.updatedAt) ? raw.updatedAt : createdAt,
+    boost: typeof raw.boost === 'number' && raw.boost >= 0 ? raw.boost : 0,
+    deferCount: Number.isInteger(raw.deferCount) && raw.deferCount >= 0 ? raw.deferCount : 0,
+    decisions: Array.isArray(raw.decisions) ? raw.decisions : [],
+    dueDate: isValidDateKey(raw.dueDate) ? raw.dueDate : null,
+    startAfter: isValidDateKey(raw.startAfter) ? raw.startAfter : null,
+    recurrence: isValidRecurrence(raw.recurrence) ? raw.recurrence : null,
+    estimate: isValidMinutes(raw.estimate) ? raw.estimate : null,
+    actualMinutes: isValidMinutes(raw.actualMinutes) ? raw.actualMinutes : null,
+    rating: Number.isFinite(raw.rating) ? raw.rating : DEFAULT_RATING,
+    project: normaliseLabel(raw.project),
+    tags: normaliseTags(raw.tags),
+    subtasks: normaliseSubtasks(raw.subtasks),
+    carriedSince: isValidDateKey(raw.carriedSince) ? raw.carriedSince : null,
+    carryBoost: Number.isInteger(raw.carryBoost) && raw.carryBoost >= 0 ? raw.carryBoost : 0,
+    outcome: DAY_OUTCOMES.includes(raw.outcome) ? raw.outcome : null,
+    outcomeDate: isValidDateKey(raw.outcomeDate) ? raw.outcomeDate : null
+  };
+  return { task, errors: [] };
+};
+
+/**
+ * Validates a list of task records. Records that are invalid or reuse an id
+ * already seen are returned separately along with the reasons.
+ */
+export const validateTasks = (records, now = Date.now()) => {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+  records.forEach(record => {
+    const { task, errors } = validateTask(record, now);
+    if (!task) {
+      invalid.push({ record, errors });
+    } else if (seen.has(task.id)) {
+      invalid.push({ record, errors: [`Duplicate id "${task.id}"`] });
+    } else {
+      seen.add(task.id);
+      valid.push(task);
+    }
+  });
+  return { valid, invalid };
+};